@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+// Command-line sorter: reads a track list or a Spotify playlist, arranges it
+// with the same core the app uses, and prints, writes or saves the class.
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import {
+  CURVE_TEMPLATES, defaultCurveParams, SORT_METRICS, DEFAULT_CLASS_PLAN, EXPORT_FORMATS, REFRESH_MARGIN_MS,
+  arrangeClass, generatedPlaylistName, generatedPlaylistDescription, parseTrackImport, cueSheetRows,
+  formatClock, MAX_CROSSFADE_MS, camelotCode, formatCamelot, classStats, isPlayableItem, enrichTrack,
+  createSpotifyClient, refreshSession, classChart, classQuality, curveTarget, ISSUE_LABELS, DEFAULT_SPACING,
+} from "../src/core/index.js";
+
+const USAGE = `Aufruf: cycling-sort <eingabe> [optionen]
+
+Eingabe:
+  Datei (JSON- oder CSV-Export der App, CSV mit Kopfzeile oder eine Zeile
+  pro Track "Künstler - Titel | 0.8 | 128 bpm | 3:45 | 8A"), "-" für stdin,
+  oder eine Spotify-Playlist (spotify:playlist:<id> bzw. open.spotify.com-Link).
+
+Sortierung:
+  --curve <id>          Energy-Kurve: ${Object.keys(CURVE_TEMPLATES).join(", ")} (Standard: pyramid)
+  --param <key=wert>    Kurvenparameter, mehrfach möglich (z.B. peakFrom=20)
+  --metric <id>         Sortieren nach: ${Object.keys(SORT_METRICS).join(", ")} (Standard: energy)
+  --duration <min>      Kurslänge; wählt passende Tracks aus dem Pool
+  --tolerance <min>     erlaubte Abweichung von --duration (Standard: 2)
+  --plan <datei>        Kursplan statt Kurve: JSON mit { name, segments }, eine
+                        Liste davon, ein JSON-Export mit Plan, oder "default"
+  --plan-name <name>    Plan aus einer Liste wählen
+  --harmonic            Tonartwechsel glätten
+  --crossfade <s>       Überblendung zwischen den Tracks in Sekunden (Standard: 0);
+                        Ein-/Ausstiegspunkte kommen aus der Eingabe (CSV-Spalten Ein/Aus)
+  --pin <track=ort>     Track festsetzen, mehrfach möglich. Track: ID oder Titel;
+                        Ort: start, end, pos:<n> oder min:<n>
+  --artist-gap <n>      gleicher Künstler frühestens nach n Tracks (Standard: ${DEFAULT_SPACING.artistTracks}, 0 = aus)
+  --artist-minutes <m>  ... und frühestens nach m Minuten (Standard: ${DEFAULT_SPACING.artistMinutes})
+  --album-gap <n>       gleiches Album frühestens nach n Tracks (Standard: ${DEFAULT_SPACING.albumTracks})
+  --album-minutes <m>   ... und frühestens nach m Minuten (Standard: ${DEFAULT_SPACING.albumMinutes})
+
+Ausgabe:
+  --format <id>         text, ${Object.keys(EXPORT_FORMATS).join(", ")} (Standard: text)
+  -o, --output <datei>  in eine Datei statt auf stdout schreiben
+  --save                als neue Spotify-Playlist speichern
+  --replace <playlist>  Inhalt einer bestehenden Playlist ersetzen
+  --name <name>         Name der neuen Playlist
+
+Spotify-Zugang (für Playlists als Eingabe und zum Speichern):
+  SPOTIFY_ACCESS_TOKEN  ein gültiges Access Token, oder
+  --session <datei>     Sitzung als JSON { clientId, accessToken, refreshToken,
+                        expiresAt }, wie die App sie unter "spotify_session" im
+                        localStorage ablegt. Erneuerte Tokens werden zurückgeschrieben.
+                        Standard: $SPOTIFY_SESSION_FILE`;
+
+const OPTIONS = {
+  curve: { type: "string", default: "pyramid" },
+  param: { type: "string", multiple: true, default: [] },
+  metric: { type: "string", default: "energy" },
+  duration: { type: "string" },
+  tolerance: { type: "string", default: "2" },
+  plan: { type: "string" },
+  "plan-name": { type: "string" },
+  harmonic: { type: "boolean", default: false },
+  crossfade: { type: "string", default: "0" },
+  pin: { type: "string", multiple: true, default: [] },
+  "artist-gap": { type: "string", default: String(DEFAULT_SPACING.artistTracks) },
+  "artist-minutes": { type: "string", default: String(DEFAULT_SPACING.artistMinutes) },
+  "album-gap": { type: "string", default: String(DEFAULT_SPACING.albumTracks) },
+  "album-minutes": { type: "string", default: String(DEFAULT_SPACING.albumMinutes) },
+  format: { type: "string", default: "text" },
+  output: { type: "string", short: "o" },
+  save: { type: "boolean", default: false },
+  replace: { type: "string" },
+  name: { type: "string" },
+  session: { type: "string", default: process.env.SPOTIFY_SESSION_FILE },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+function fail(message) {
+  const err = new Error(message);
+  err.usage = true;
+  throw err;
+}
+
+function number(value, flag) {
+  const n = Number(String(value).replace(",", "."));
+  if (value == null || !Number.isFinite(n) || n < 0) fail(`--${flag} erwartet eine Zahl, nicht "${value ?? ""}"`);
+  return n;
+}
+
+function playlistId(input) {
+  return input.match(/^spotify:playlist:([A-Za-z0-9]+)$/)?.[1]
+    || input.match(/open\.spotify\.com\/playlist\/([A-Za-z0-9]+)/)?.[1]
+    || null;
+}
+
+// ── Spotify Access ──
+// A session file is refreshed like the app does it and written back, since
+// Spotify may rotate the refresh token.
+async function spotifyFromEnvironment(sessionFile) {
+  const token = process.env.SPOTIFY_ACCESS_TOKEN;
+  if (token) return createSpotifyClient({ getAccessToken: async () => token });
+  if (!sessionFile) return null;
+  let session = JSON.parse(await readFile(sessionFile, "utf8"));
+  if (!session?.refreshToken || !session?.clientId) fail(`${sessionFile} enthält keine Spotify-Sitzung`);
+  let refreshing = null;
+  return createSpotifyClient({
+    getAccessToken: async (forceRefresh = false) => {
+      if (!forceRefresh && Date.now() < session.expiresAt - REFRESH_MARGIN_MS) return session.accessToken;
+      refreshing ??= refreshSession(session)
+        .then(async (next) => {
+          session = next;
+          await writeFile(sessionFile, JSON.stringify(session, null, 2) + "\n");
+        })
+        .catch((e) => {
+          throw new Error("Sitzung abgelaufen, bitte in der App neu einloggen (" + e.message + ")");
+        })
+        .finally(() => { refreshing = null; });
+      await refreshing;
+      return session.accessToken;
+    },
+  });
+}
+
+function requireSpotify(spotify, purpose) {
+  if (!spotify) fail(`${purpose} braucht Spotify-Zugang: SPOTIFY_ACCESS_TOKEN oder --session`);
+  return spotify;
+}
+
+// Same enrichment as the app: audio features where the API still serves
+// them, genre estimates for the rest
+async function loadSpotifyPlaylist(spotify, id) {
+  const { name } = await spotify.request(`/playlists/${id}?fields=name`);
+  const items = (await spotify.playlistItems(id)).filter(isPlayableItem);
+  let features = {};
+  try {
+    features = await spotify.audioFeatures(items.map(i => i.track.id));
+  } catch (e) {
+    console.error("Audio Features API nicht verfügbar, Energy wird aus Genres geschätzt (~).");
+  }
+  const artistIds = [...new Set(items
+    .filter(i => !features[i.track.id])
+    .flatMap(i => (i.track.artists || []).map(a => a.id).filter(Boolean)))];
+  let artistGenres = {};
+  if (artistIds.length) {
+    try {
+      artistGenres = await spotify.artistGenres(artistIds);
+    } catch (e) {
+      // Without genres the estimate falls back to duration and explicit flag
+    }
+  }
+  const tracks = items.map(i => enrichTrack({ ...i, sources: [name] }, { features, artistGenres }));
+  return { name, tracks };
+}
+
+async function loadInput(input, spotify) {
+  const id = playlistId(input);
+  if (id) return loadSpotifyPlaylist(requireSpotify(spotify, "Eine Playlist als Eingabe"), id);
+  const text = input === "-" ? await readStdin() : await readFile(input, "utf8");
+  const { tracks, skipped } = parseTrackImport(text);
+  if (skipped) console.error(`${skipped} Einträge ohne Titel oder doppelt übersprungen.`);
+  const name = input === "-" ? "Import" : input.replace(/^.*[\\/]/, "").replace(/\.[^.]+$/, "");
+  return { name, tracks };
+}
+
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// ── Sort Settings ──
+async function loadPlan(source, planName) {
+  if (source === "default") return DEFAULT_CLASS_PLAN;
+  const data = JSON.parse(await readFile(source, "utf8"));
+  // An app export carries the plan it was sorted with
+  const plans = Array.isArray(data) ? data : [data.plan || data];
+  const plan = planName ? plans.find(p => p?.name === planName) : plans[0];
+  if (!plan?.segments?.length) fail(planName ? `Kein Plan "${planName}" in ${source}` : `${source} enthält keinen Kursplan`);
+  return plan;
+}
+
+function parseParams(entries, curveId) {
+  const template = CURVE_TEMPLATES[curveId];
+  if (!template) fail(`Unbekannte Kurve: ${curveId}`);
+  const known = (template.params || []).map(p => p.key);
+  const params = defaultCurveParams(template);
+  for (const entry of entries) {
+    const [key, value] = entry.split("=");
+    if (!known.includes(key)) fail(`Kurve ${curveId} hat keinen Parameter "${key}"` + (known.length ? ` (${known.join(", ")})` : ""));
+    params[key] = number(value, "param");
+  }
+  return params;
+}
+
+function findTrack(tracks, query) {
+  const q = query.toLowerCase();
+  const byId = tracks.find(t => t.id === query);
+  if (byId) return byId;
+  const exact = tracks.filter(t => t.name.toLowerCase() === q);
+  const matches = exact.length ? exact : tracks.filter(t => t.name.toLowerCase().includes(q));
+  if (matches.length === 1) return matches[0];
+  fail(matches.length ? `"${query}" passt auf mehrere Tracks, bitte die ID angeben` : `Kein Track "${query}"`);
+}
+
+function parsePins(entries, tracks) {
+  const pins = {};
+  for (const entry of entries) {
+    const split = entry.lastIndexOf("=");
+    const [where, value] = entry.slice(split + 1).split(":");
+    if (split < 1 || !["start", "end", "pos", "min"].includes(where)) {
+      fail(`--pin erwartet <track>=start|end|pos:<n>|min:<n>, nicht "${entry}"`);
+    }
+    const track = findTrack(tracks, entry.slice(0, split));
+    if (where === "start" || where === "end") pins[track.id] = { at: where };
+    else {
+      const n = number(value, "pin");
+      pins[track.id] = where === "pos" ? { at: "position", value: Math.max(1, Math.round(n)) } : { at: "minute", value: n };
+    }
+  }
+  return pins;
+}
+
+// ── Output ──
+function textTable(rows, meta, crossfadeMs, quality) {
+  const stats = classStats(rows.map(r => r.track), crossfadeMs);
+  const lines = [`${meta.name}`, `${rows.length} Tracks · ${formatClock(stats.totalMs)} · Ø Energy ${stats.avgEnergy?.toFixed(2) ?? "—"}`, ""];
+  for (const { position, startMs, track, cadence, segment, segmentStart } of rows) {
+    if (segmentStart) lines.push(`── ${segment.label} (${segment.minutes} min)${segment.note ? ` · ${segment.note}` : ""}`);
+    lines.push([
+      String(position).padStart(3),
+      formatClock(startMs).padStart(6),
+      `${(track.energy ?? 0).toFixed(2)}${track.energySource === "estimated" ? "~" : " "}`,
+      track.bpm ? `${String(Math.round(track.bpm)).padStart(3)} BPM` : "   — BPM",
+      cadence ? `${String(cadence).padStart(3)} rpm` : "  — rpm",
+      formatCamelot(camelotCode(track)).padEnd(3),
+      `${track.artist} – ${track.name}`,
+      ...quality.issues.filter(i => i.index === position - 1).map(i => `⚠ ${ISSUE_LABELS[i.kind]} (${i.message})`),
+    ].join("  "));
+  }
+  return lines.join("\n") + "\n";
+}
+
+async function saveToSpotify(spotify, tracks, { replace, name, description }) {
+  const uris = tracks.map(t => t.uri).filter(Boolean);
+  if (uris.length < tracks.length) console.error(`${tracks.length - uris.length} Tracks ohne Spotify-URI nicht gespeichert.`);
+  if (replace) {
+    const id = playlistId(replace) || replace;
+    await spotify.writeTracks(id, uris, { replace: true });
+    return id;
+  }
+  const me = await spotify.me();
+  const playlist = await spotify.createPlaylist(me.id, { name, description });
+  await spotify.writeTracks(playlist.id, uris);
+  return playlist.id;
+}
+
+async function main(argv) {
+  const { values: opts, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  if (opts.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (positionals.length !== 1) fail("Genau eine Eingabe angeben");
+  if (opts.format !== "text" && !EXPORT_FORMATS[opts.format]) fail(`Unbekanntes Format: ${opts.format}`);
+
+  const spotify = await spotifyFromEnvironment(opts.session);
+  if (opts.save || opts.replace) requireSpotify(spotify, "Speichern");
+  const source = await loadInput(positionals[0], spotify);
+  if (!source.tracks.length) fail("Keine Tracks gefunden");
+
+  const plan = opts.plan ? await loadPlan(opts.plan, opts["plan-name"]) : null;
+  const mode = plan ? "plan" : "curve";
+  const crossfadeMs = Math.min(MAX_CROSSFADE_MS, number(opts.crossfade, "crossfade") * 1000);
+  const params = opts.param.length ? parseParams(opts.param, opts.curve) : undefined;
+  const spacing = {
+    artistTracks: number(opts["artist-gap"], "artist-gap"),
+    artistMinutes: number(opts["artist-minutes"], "artist-minutes"),
+    albumTracks: number(opts["album-gap"], "album-gap"),
+    albumMinutes: number(opts["album-minutes"], "album-minutes"),
+  };
+  const { selected, unused, label, conflicts } = arrangeClass(source.tracks, {
+    mode,
+    curveId: opts.curve,
+    params,
+    metricId: opts.metric,
+    harmonic: opts.harmonic,
+    pins: parsePins(opts.pin, source.tracks),
+    targetMs: opts.duration ? number(opts.duration, "duration") * 60000 : 0,
+    toleranceMs: number(opts.tolerance, "tolerance") * 60000,
+    plan,
+    crossfadeMs,
+    spacing,
+  });
+
+  const name = opts.name || generatedPlaylistName(source.name, label);
+  const rows = cueSheetRows(selected, plan ? plan.segments : [], crossfadeMs);
+  const meta = { name, sort: label, plan };
+  const target = plan ? { segments: plan.segments } : {
+    target: curveTarget(selected, CURVE_TEMPLATES[opts.curve], {
+      params: params || defaultCurveParams(CURVE_TEMPLATES[opts.curve]),
+      metric: SORT_METRICS[opts.metric],
+      crossfadeMs,
+    }),
+    targetMetric: opts.metric,
+  };
+  const quality = classQuality(classChart(selected, { crossfadeMs, ...target }), { spacing, crossfadeMs });
+  const output = opts.format === "text" ? textTable(rows, meta, crossfadeMs, quality) : EXPORT_FORMATS[opts.format].build(rows, meta);
+  if (opts.output) await writeFile(opts.output, output);
+  else if (!opts.save && !opts.replace) process.stdout.write(output);
+
+  const summary = `${label}: ${selected.length} Tracks, ${formatClock(classStats(selected, crossfadeMs).totalMs)}, Qualität ${quality.score ?? "—"}/100`;
+  console.error(unused.length ? `${summary} (${unused.length} nicht verwendet)` : summary);
+  if (conflicts.length) {
+    console.error(`Abstandsregel nicht überall einhaltbar (${conflicts.length}):`);
+    for (const { index, earlier, kind } of conflicts) {
+      const track = selected[index];
+      console.error(`  #${index + 1} ${track.artist} - ${track.name}: ${ISSUE_LABELS[kind]}, wie #${earlier + 1}`);
+    }
+  }
+  if (opts.save || opts.replace) {
+    const id = await saveToSpotify(spotify, selected, {
+      replace: opts.replace,
+      name,
+      description: generatedPlaylistDescription(mode, label),
+    });
+    console.error(`Gespeichert: https://open.spotify.com/playlist/${id}`);
+  }
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(`cycling-sort: ${e.message}`);
+  if (e.usage || e.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") console.error('"cycling-sort --help" zeigt alle Optionen.');
+  process.exitCode = 1;
+});
@@ -1,92 +1,844 @@
-import { useState, useEffect, useCallback, useRef } from "react";
-
-// ── Spotify Config ──
-// Users need to create a Spotify App at https://developer.spotify.com/dashboard
-// and set the redirect URI to the artifact's URL
-const SCOPES = "playlist-read-private playlist-read-collaborative playlist-modify-public playlist-modify-private";
-const AUTH_URL = "https://accounts.spotify.com/authorize";
-const TOKEN_URL = "https://accounts.spotify.com/api/token";
-
-// PKCE helpers
-function generateRandomString(length) {
-  const possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
-  const values = crypto.getRandomValues(new Uint8Array(length));
-  return values.reduce((acc, x) => acc + possible[x % possible.length], "");
-}
-
-async function sha256(plain) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(plain);
-  return window.crypto.subtle.digest("SHA-256", data);
-}
-
-function base64urlencode(input) {
-  return btoa(String.fromCharCode(...new Uint8Array(input)))
-    .replace(/=/g, "").replace(/\+/g, "-").replace(/\//g, "_");
-}
-
-// ── Pyramid Sort ──
-function pyramidSort(tracks) {
-  if (!tracks.length) return [];
-  const sorted = [...tracks].sort((a, b) => (a.energy ?? 0) - (b.energy ?? 0));
-  const result = new Array(sorted.length);
-  let left = 0, right = sorted.length - 1;
-  // Place lowest energy items at edges, highest in middle
-  for (let i = 0; i < sorted.length; i++) {
-    if (i % 2 === 0) {
-      result[left++] = sorted[i];
-    } else {
-      result[right--] = sorted[i];
+import { Fragment, useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+  CURVE_TEMPLATES, defaultCurveParams, cadenceFromBpm, cadenceZone, camelotCode, formatCamelot,
+  SORT_METRICS, PIN_LABELS, pinLabel, DEFAULT_CLASS_PLAN, segmentAt, rangeDistance,
+  arrangeClass, generatedPlaylistName, generatedPlaylistDescription,
+  INTENSITY_MIN, INTENSITY_MAX, applyOverride, cacheableFeatures, enrichTrack, isPlayableItem,
+  mergePlaylistItems, classStats, DEFAULT_POOL_FILTER, EXCLUSION_REASONS, filterPool, parseTrackImport, EXPORT_FORMATS, cueSheetRows, formatClock,
+  CHART_SERIES, classChart, chartTargetSpans, chartIndexAt, classQuality, ISSUE_LABELS, DEFAULT_SPACING,
+  MAX_CROSSFADE_MS, slotMs, trimmedMs, parseDuration,
+  rideTimeline, rideState, curveTarget, createMockPlayer, createConnectPlayer, rideDevice,
+  REFRESH_MARGIN_MS, PLAYBACK_SCOPES, MAX_REORDER_MOVES, createPkcePair, authorizeUrl, exchangeCode, refreshSession,
+  createSpotifyClient, isPermutation, reorderMoves,
+} from "./core/index.js";
+
+// ── Session persistence ──
+// The session from the PKCE exchange survives reloads, so a refresh token can
+// restore the login.
+const SESSION_KEY = "spotify_session";
+
+function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY));
+    return session?.accessToken && session?.refreshToken ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeSession(session) {
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+  localStorage.removeItem(SESSION_KEY);
+  sessionStorage.removeItem("pkce_verifier");
+  sessionStorage.removeItem("spotify_client_id");
+}
+
+// ── Playlist Writing ──
+// Sorted playlists we created, keyed by source playlist ID, so a re-sort can
+// overwrite its previous copy instead of creating yet another one.
+const GENERATED_PLAYLISTS_KEY = "generated_playlists";
+const SAVE_MODES = {
+  new: { label: "Als neue Playlist", action: "💾 Als neue Playlist speichern" },
+  update: { label: "Sortierte Kopie aktualisieren", action: "💾 Sortierte Kopie aktualisieren" },
+  inPlace: { label: "Original umsortieren", action: "💾 Original umsortieren" },
+};
+
+function loadGeneratedPlaylists() {
+  try {
+    return JSON.parse(localStorage.getItem(GENERATED_PLAYLISTS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function storeGeneratedPlaylist(sourceId, generatedId) {
+  localStorage.setItem(GENERATED_PLAYLISTS_KEY, JSON.stringify({ ...loadGeneratedPlaylists(), [sourceId]: generatedId }));
+}
+
+// ── Audio Features Cache ──
+// Features are remembered per track so a later 403 from /v1/audio-features
+// still leaves us with real values for every track we have seen before.
+const FEATURES_CACHE_KEY = "audio_features_cache";
+
+function loadFeaturesCache() {
+  try {
+    return JSON.parse(localStorage.getItem(FEATURES_CACHE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function storeFeaturesCache(cache) {
+  try {
+    localStorage.setItem(FEATURES_CACHE_KEY, JSON.stringify(cache));
+  } catch {
+    // Storage full: the cache is an optimisation, carry on without it
+  }
+}
+
+// ── Manual Overrides ──
+// Per-track corrections keyed by Spotify track ID, so they follow the track
+// into every playlist. Applying them is in core/tracks.
+const OVERRIDES_KEY = "track_overrides";
+
+function loadOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem(OVERRIDES_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+function storeOverrides(overrides) {
+  localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+}
+
+// ── Class Plans ──
+// Saved plans live in the browser; building and filling them is in core/plans.
+const CLASS_PLANS_KEY = "class_plans";
+
+function loadClassPlans() {
+  try {
+    return JSON.parse(localStorage.getItem(CLASS_PLANS_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function storeClassPlans(plans) {
+  localStorage.setItem(CLASS_PLANS_KEY, JSON.stringify(plans));
+}
+
+// ── Pool Filter ──
+// The last applied filter is kept for the next playlist; filtering is in core/filters.
+const POOL_FILTER_KEY = "pool_filter";
+
+function loadPoolFilter() {
+  try {
+    return { ...DEFAULT_POOL_FILTER, ...JSON.parse(localStorage.getItem(POOL_FILTER_KEY)) };
+  } catch {
+    return DEFAULT_POOL_FILTER;
+  }
+}
+
+function storePoolFilter(filter) {
+  localStorage.setItem(POOL_FILTER_KEY, JSON.stringify(filter));
+}
+
+// ── Crossfade ──
+// Global overlap between tracks in seconds; trims are per-track overrides.
+const CROSSFADE_KEY = "crossfade_seconds";
+
+function loadCrossfade() {
+  const seconds = Number(localStorage.getItem(CROSSFADE_KEY));
+  return Number.isFinite(seconds) ? Math.min(MAX_CROSSFADE_MS / 1000, Math.max(0, seconds)) : 0;
+}
+
+function storeCrossfade(seconds) {
+  localStorage.setItem(CROSSFADE_KEY, String(seconds));
+}
+
+// ── Spacing Rule ──
+// How far apart the same artist or album has to be; spacing itself is in core/spacing.
+const SPACING_KEY = "spacing_rule";
+
+function loadSpacing() {
+  try {
+    return { ...DEFAULT_SPACING, ...JSON.parse(localStorage.getItem(SPACING_KEY)) };
+  } catch {
+    return DEFAULT_SPACING;
+  }
+}
+
+function storeSpacing(spacing) {
+  localStorage.setItem(SPACING_KEY, JSON.stringify(spacing));
+}
+
+// ── Export ──
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  // Firefox only downloads attached links; revoking right away can cancel the
+  // download in Firefox and Safari
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ── Edit History ──
+// Snapshots of the editable workspace (track order, unused pile, filtered-out
+// tracks and their exceptions, overrides, pins, sorted flag). Every edit
+// commits a labelled entry; undo/redo and the history panel just move the
+// cursor. A new edit after undoing drops the redo branch.
+const HISTORY_LIMIT = 100;
+
+function useEditHistory(initial) {
+  const [history, setHistory] = useState(() => ({
+    entries: [{ label: "Start", at: Date.now(), state: initial }],
+    index: 0,
+  }));
+
+  const commit = useCallback((label, changes) => {
+    setHistory((h) => {
+      const state = { ...h.entries[h.index].state, ...changes };
+      const entries = h.entries.slice(0, h.index + 1).concat({ label, at: Date.now(), state }).slice(-HISTORY_LIMIT);
+      return { entries, index: entries.length - 1 };
+    });
+  }, []);
+
+  const reset = useCallback((label, state) => {
+    setHistory({ entries: [{ label, at: Date.now(), state }], index: 0 });
+  }, []);
+
+  const jump = useCallback((index) => {
+    setHistory((h) => ({ ...h, index: Math.max(0, Math.min(h.entries.length - 1, index)) }));
+  }, []);
+
+  const undo = useCallback(() => setHistory((h) => ({ ...h, index: Math.max(0, h.index - 1) })), []);
+  const redo = useCallback(() => setHistory((h) => ({ ...h, index: Math.min(h.entries.length - 1, h.index + 1) })), []);
+
+  return {
+    present: history.entries[history.index].state,
+    entries: history.entries,
+    index: history.index,
+    canUndo: history.index > 0,
+    canRedo: history.index < history.entries.length - 1,
+    commit, reset, jump, undo, redo,
+  };
+}
+
+// ── Pointer Reordering ──
+// Touch and pen drags start on a row's handle and follow the pointer via
+// elementFromPoint; the page scrolls while the pointer sits near the top or
+// bottom edge. Mouse users keep native HTML5 drag and drop.
+const AUTO_SCROLL_EDGE = 80;
+
+function usePointerReorder(onMove) {
+  const drag = useRef(null);
+  const frame = useRef(null);
+  const [dragState, setDragState] = useState(null);
+
+  const updateOver = useCallback(() => {
+    const d = drag.current;
+    const row = document.elementFromPoint(d.x, d.y)?.closest("[data-track-index]");
+    if (row && Number(row.dataset.trackIndex) !== d.over) {
+      d.over = Number(row.dataset.trackIndex);
+      setDragState({ from: d.from, over: d.over });
     }
+  }, []);
+
+  const autoScroll = useCallback(() => {
+    const d = drag.current;
+    if (!d) return;
+    const speed = d.y < AUTO_SCROLL_EDGE
+      ? -(AUTO_SCROLL_EDGE - d.y) / 4
+      : d.y > window.innerHeight - AUTO_SCROLL_EDGE
+        ? (d.y - (window.innerHeight - AUTO_SCROLL_EDGE)) / 4
+        : 0;
+    if (speed) {
+      window.scrollBy(0, speed);
+      updateOver();
+    }
+    frame.current = requestAnimationFrame(autoScroll);
+  }, [updateOver]);
+
+  const end = useCallback((commit) => {
+    const d = drag.current;
+    drag.current = null;
+    cancelAnimationFrame(frame.current);
+    setDragState(null);
+    if (commit && d && d.over !== d.from) onMove(d.from, d.over);
+  }, [onMove]);
+
+  useEffect(() => () => cancelAnimationFrame(frame.current), []);
+
+  return {
+    dragState,
+    onPointerDown(e, index) {
+      if (e.pointerType === "mouse") return;
+      e.preventDefault();
+      e.currentTarget.setPointerCapture(e.pointerId);
+      drag.current = { from: index, over: index, x: e.clientX, y: e.clientY };
+      setDragState({ from: index, over: index });
+      frame.current = requestAnimationFrame(autoScroll);
+    },
+    onPointerMove(e) {
+      if (!drag.current) return;
+      drag.current.x = e.clientX;
+      drag.current.y = e.clientY;
+      updateOver();
+    },
+    onPointerUp() { end(true); },
+    onPointerCancel() { end(false); },
+  };
+}
+
+// ── Web Playback ──
+// The Web Playback SDK turns this tab into a Spotify Connect device (Premium
+// only). It loads the first time ride mode needs it; playback then goes
+// through the Connect endpoints like on any other device.
+const PLAYBACK_SDK_URL = "https://sdk.scdn.co/spotify-player.js";
+let playbackSdk = null;
+
+function loadPlaybackSdk() {
+  playbackSdk ??= new Promise((resolve, reject) => {
+    window.onSpotifyWebPlaybackSDKReady = () => resolve(window.Spotify);
+    const script = document.createElement("script");
+    script.src = PLAYBACK_SDK_URL;
+    script.onerror = () => {
+      playbackSdk = null;
+      reject(new Error("Web Playback SDK nicht erreichbar"));
+    };
+    document.body.appendChild(script);
+  });
+  return playbackSdk;
+}
+
+function useWebPlayback(enabled, getAccessToken) {
+  const tokenRef = useRef(getAccessToken);
+  tokenRef.current = getAccessToken;
+  const player = useRef(null);
+  const [deviceId, setDeviceId] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!enabled) return;
+    let cancelled = false;
+    loadPlaybackSdk().then((Spotify) => {
+      if (cancelled) return;
+      const p = new Spotify.Player({
+        name: "Cycling Playlist Sorter",
+        getOAuthToken: (callback) => tokenRef.current().then(callback, (e) => setError(e.message)),
+      });
+      p.addListener("ready", ({ device_id }) => setDeviceId(device_id));
+      p.addListener("not_ready", () => setDeviceId(null));
+      ["initialization_error", "authentication_error", "account_error"].forEach((event) => {
+        p.addListener(event, ({ message }) => setError(message));
+      });
+      p.connect();
+      player.current = p;
+    }).catch((e) => setError(e.message));
+    return () => {
+      cancelled = true;
+      player.current?.disconnect();
+      player.current = null;
+      setDeviceId(null);
+    };
+  }, [enabled]);
+
+  // Browsers only allow audio after a user gesture; call from a click handler
+  const activate = useCallback(() => player.current?.activateElement?.(), []);
+
+  return { deviceId, error, activate };
+}
+
+// ── Curve Preview ──
+function CurvePreview({ template, params, color }) {
+  const ctx = { totalMin: 45, params: params || defaultCurveParams(template) };
+  const points = Array.from({ length: 25 }, (_, i) => {
+    const x = i / 24;
+    return `${(x * 40).toFixed(1)},${(14 - template.target(x, ctx) * 12).toFixed(1)}`;
+  }).join(" ");
+  return (
+    <svg width={40} height={16} style={{ display: "block" }}>
+      <polyline points={points} fill="none" stroke={color} strokeWidth={1.5} strokeLinejoin="round" />
+    </svg>
+  );
+}
+
+// ── Class Chart ──
+// Energy bars on the class clock, each as wide as the class time its track
+// takes, under the target the class was sorted toward; cadence can ride along
+// as a line. Misses beyond the series tolerance are marked red. Hovering links
+// to the track rows, dragging a bar moves its track, a click jumps to its row.
+// What to draw comes from core/chart.
+const CHART_WIDTH = 1000;
+const CHART_HEIGHT = 100;
+const CHART_DRAG_PX = 4;
+const CADENCE_COLOR = "#4fc3f7";
+
+function ClassChart({ chart, spans, showCadence, hoverIndex, onHover, onMove, onSelect }) {
+  const svg = useRef(null);
+  const [drag, setDrag] = useState(null);
+  const { bars, totalMs, timed } = chart;
+  const x = (ms) => (totalMs ? (ms / totalMs) * CHART_WIDTH : 0);
+  const y = (value, series) => {
+    const share = (value - series.min) / (series.max - series.min);
+    return CHART_HEIGHT * (1 - Math.min(1, Math.max(0, share)));
+  };
+  const energy = CHART_SERIES.energy;
+  const cadence = CHART_SERIES.cadence;
+
+  function indexAt(e) {
+    const rect = svg.current.getBoundingClientRect();
+    return chartIndexAt(bars, ((e.clientX - rect.left) / rect.width) * totalMs);
+  }
+
+  function handlePointerDown(e) {
+    if (e.button !== 0) return;
+    const index = indexAt(e);
+    if (index === -1) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setDrag({ from: index, over: index, startX: e.clientX, moved: false });
+  }
+
+  function handlePointerMove(e) {
+    const index = indexAt(e);
+    if (!drag) return onHover(index);
+    const moved = drag.moved || Math.abs(e.clientX - drag.startX) > CHART_DRAG_PX;
+    if (moved !== drag.moved || index !== drag.over) setDrag({ ...drag, over: index, moved });
   }
-  return result;
+
+  function handlePointerUp() {
+    if (!drag) return;
+    setDrag(null);
+    if (!drag.moved) onSelect(drag.from);
+    else if (drag.over !== drag.from) onMove(drag.from, drag.over);
+  }
+
+  // Curve targets are a line through the sample midpoints, plan ranges a band
+  function targetShapes(list, series, color) {
+    const points = list.filter((t) => t.min === t.max)
+      .map((t) => `${x((t.startMs + t.endMs) / 2).toFixed(1)},${y(t.min, series).toFixed(1)}`);
+    return (
+      <>
+        {list.filter((t) => t.min !== t.max).map((t) => {
+          const top = y(t.max ?? series.max, series);
+          return (
+            <rect
+              key={`${series.label}-${t.startMs}`}
+              x={x(t.startMs)} width={x(t.endMs) - x(t.startMs)} y={top} height={y(t.min ?? series.min, series) - top}
+              fill={color} fillOpacity={0.08} stroke={color} strokeOpacity={0.5} strokeDasharray="4 3"
+              vectorEffect="non-scaling-stroke"
+            />
+          );
+        })}
+        {points.length > 1 && (
+          <polyline
+            points={points.join(" ")} fill="none" stroke={color} strokeWidth={2} strokeDasharray="6 4"
+            strokeLinejoin="round" vectorEffect="non-scaling-stroke"
+          />
+        )}
+      </>
+    );
+  }
+
+  // From the value to the nearest edge of its target
+  function missBounds(bar, id) {
+    const value = bar.values[id];
+    const target = bar.targets[id];
+    if (!(bar.deviations[id] > CHART_SERIES[id].tolerance)) return null;
+    return [value, value < target.min ? target.min : target.max];
+  }
+
+  const cadencePath = bars.map((bar, i) => {
+    if (bar.values.cadence == null) return "";
+    const command = i > 0 && bars[i - 1].values.cadence != null ? "L" : "M";
+    return `${command}${x((bar.startMs + bar.endMs) / 2).toFixed(1)},${y(bar.values.cadence, cadence).toFixed(1)}`;
+  }).join(" ");
+  const dropX = drag?.moved && drag.over !== drag.from
+    ? x(drag.over > drag.from ? bars[drag.over].endMs : bars[drag.over].startMs)
+    : null;
+  const tickMinutes = totalMs > 30 * 60000 ? 10 : 5;
+  const ticks = timed ? Array.from({ length: Math.floor(totalMs / (tickMinutes * 60000)) }, (_, i) => (i + 1) * tickMinutes) : [];
+
+  return (
+    <div style={{ position: "relative" }}>
+      <svg
+        ref={svg}
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label="Energy-Verlauf der Klasse; Balken ziehen zum Verschieben, klicken zum Anspringen"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => setDrag(null)}
+        onPointerLeave={() => { if (!drag) onHover(null); }}
+        style={{
+          display: "block", width: "100%", height: 96, overflow: "visible",
+          cursor: drag?.moved ? "grabbing" : "pointer", touchAction: "none",
+        }}
+      >
+        {targetShapes(spans.energy, energy, "#ffffff")}
+        {bars.map((bar, i) => {
+          const value = bar.values.energy ?? 0;
+          const left = x(bar.startMs);
+          const width = x(bar.endMs) - left;
+          const inset = Math.min(1.5, width * 0.2);
+          const top = Math.min(y(value, energy), CHART_HEIGHT - 4);
+          const hue = value * 40;
+          const miss = missBounds(bar, "energy");
+          const target = bar.targets.energy;
+          return (
+            <g key={`${bar.track.id}-${i}`} opacity={drag?.moved && drag.from === i ? 0.4 : 1}>
+              <title>
+                {`${i + 1}. ${bar.track.name} – ${bar.track.artist}\nEnergy ${value.toFixed(2)}`
+                  + (bar.values.cadence ? ` · ${bar.values.cadence} rpm` : "")
+                  + (target ? `\nZiel ${formatRange(target.min, target.max)}` : "")}
+              </title>
+              <rect
+                x={left + inset} width={Math.max(0.5, width - 2 * inset)} y={top} height={CHART_HEIGHT - top} rx={2}
+                fill={`hsl(${hue}, ${70 + value * 30}%, ${45 + value * 15}%)`}
+                fillOpacity={bar.track.energySource === "estimated" ? 0.5 : 1}
+                stroke={hoverIndex === i ? "#fff" : "none"} strokeWidth={1.5} vectorEffect="non-scaling-stroke"
+              />
+              {miss && (
+                <rect
+                  x={left + inset} width={Math.max(0.5, width - 2 * inset)}
+                  y={y(Math.max(...miss), energy)} height={Math.abs(y(miss[0], energy) - y(miss[1], energy))}
+                  fill="#ff5252" fillOpacity={0.35}
+                />
+              )}
+            </g>
+          );
+        })}
+        {showCadence && (
+          <>
+            {targetShapes(spans.cadence, cadence, CADENCE_COLOR)}
+            <path d={cadencePath} fill="none" stroke={CADENCE_COLOR} strokeWidth={1.5} vectorEffect="non-scaling-stroke" />
+            {bars.map((bar, i) => {
+              const miss = missBounds(bar, "cadence");
+              const mid = x((bar.startMs + bar.endMs) / 2);
+              return miss && (
+                <line
+                  key={`${bar.track.id}-${i}-cadence`}
+                  x1={mid} x2={mid} y1={y(miss[0], cadence)} y2={y(miss[1], cadence)}
+                  stroke="#ff5252" strokeWidth={2} vectorEffect="non-scaling-stroke"
+                />
+              );
+            })}
+          </>
+        )}
+        {dropX != null && (
+          <line x1={dropX} x2={dropX} y1={0} y2={CHART_HEIGHT} stroke="#ff6a00" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+        )}
+      </svg>
+      <div style={{ position: "relative", height: 14, marginTop: 4, fontSize: 10, color: "#555", fontFamily: "'JetBrains Mono', monospace" }}>
+        {ticks.map((minute) => (
+          <span key={minute} style={{ position: "absolute", left: `${(x(minute * 60000) / CHART_WIDTH) * 100}%`, transform: "translateX(-50%)" }}>
+            {minute}′
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ── Quality Panel ──
+// Diagnostics of the current order from core/quality. Positions jump to their
+// row; the same issues are flagged on the rows themselves.
+const ISSUE_ICONS = { target: "🎯", energy: "⚡", bpm: "♩", artist: "👤", album: "💿", key: "🎹" };
+
+// "3 Tracks / 10 min", or "aus" without a limit
+function spacingLimit(tracks, minutes) {
+  return [tracks > 0 && `${tracks} Tracks`, minutes > 0 && `${minutes} min`].filter(Boolean).join(" / ") || "aus";
 }
 
-// ── Energy Bar Component ──
-function EnergyBar({ energy, index, total, isHighest }) {
-  const height = Math.max(8, energy * 100);
-  const hue = energy * 40; // 0=red, 40=orange-yellow
-  const saturation = 70 + energy * 30;
-  const lightness = 40 + energy * 15;
+function QualityPanel({ quality, spacing, onJump }) {
+  const scoreHue = quality.score * 1.2; // 0=red, 120=green
+  const at = (jump) => jump && (
+    <button
+      onClick={() => onJump(jump.index)}
+      title="Zum Track springen"
+      style={{ background: "none", border: "none", padding: 0, color: "#888", cursor: "pointer", fontSize: 11 }}
+    >
+      bei #{jump.index + 1}
+    </button>
+  );
+  const count = (kind) => quality.issues.filter((i) => i.kind === kind).length;
+  const tiles = [
+    {
+      label: "Ziel-Abweichung",
+      value: quality.targetDeviation != null ? `${Math.round(quality.targetDeviation * 100)}%` : "—",
+      detail: quality.targetDeviation != null ? `${count("target")} neben dem Ziel` : "kein Ziel",
+    },
+    { label: "Max. Energy-Sprung", value: quality.maxEnergyJump ? quality.maxEnergyJump.value.toFixed(2) : "—", detail: at(quality.maxEnergyJump) },
+    { label: "Max. BPM-Sprung", value: quality.maxBpmJump ? Math.round(quality.maxBpmJump.value) : "—", detail: at(quality.maxBpmJump) },
+    {
+      label: "Wiederholungen",
+      value: quality.artistRepeats + quality.albumRepeats,
+      detail: (
+        <span title={`${quality.artistRepeats} Künstler, ${quality.albumRepeats} Alben zu früh`}>
+          {ISSUE_ICONS.artist} {spacingLimit(spacing.artistTracks, spacing.artistMinutes)}
+          {" · "}{ISSUE_ICONS.album} {spacingLimit(spacing.albumTracks, spacing.albumMinutes)}
+        </span>
+      ),
+    },
+    { label: "Tonart-Konflikte", value: quality.keyClashes, detail: null },
+  ];
   return (
-    <div style={{
-      display: "flex", flexDirection: "column", alignItems: "center", gap: 2,
-      flex: 1, minWidth: 4, maxWidth: 24,
-    }}>
-      <div style={{
-        width: "100%", borderRadius: 3,
-        height: `${height}%`,
-        background: `linear-gradient(to top, hsl(${hue}, ${saturation}%, ${lightness}%), hsl(${hue + 15}, ${saturation}%, ${lightness + 15}%))`,
-        boxShadow: isHighest ? "0 0 12px rgba(255,140,0,0.6)" : "none",
-        transition: "height 0.6s cubic-bezier(0.34, 1.56, 0.64, 1)",
-        transitionDelay: `${index * 40}ms`,
-      }} />
+    <div style={{ display: "flex", gap: 8, flexWrap: "wrap", marginBottom: 20 }}>
+      <div
+        title="Gewichtet Ziel-Abweichung, Sprünge, Künstler- und Album-Wiederholungen und Tonart-Konflikte"
+        style={{
+          padding: "10px 14px", borderRadius: 10, minWidth: 90,
+          background: `hsla(${scoreHue}, 70%, 45%, 0.12)`, border: `1px solid hsla(${scoreHue}, 70%, 45%, 0.3)`,
+        }}
+      >
+        <div style={{ fontSize: 11, color: "#666", textTransform: "uppercase", letterSpacing: 1, marginBottom: 2 }}>Qualität</div>
+        <div style={{ fontSize: 22, fontWeight: 700, color: `hsl(${scoreHue}, 70%, 60%)`, fontFamily: "'JetBrains Mono', monospace" }}>
+          {quality.score}
+        </div>
+      </div>
+      {tiles.map((t) => (
+        <div key={t.label} style={{
+          flex: "1 1 110px", padding: "10px 14px", borderRadius: 10,
+          background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.05)",
+        }}>
+          <div style={{ fontSize: 11, color: "#666", textTransform: "uppercase", letterSpacing: 1, marginBottom: 2 }}>{t.label}</div>
+          <div style={{ fontSize: 16, fontWeight: 600, color: "#ddd", fontFamily: "'JetBrains Mono', monospace" }}>{t.value}</div>
+          <div style={{ fontSize: 11, color: "#777", minHeight: 16 }}>{t.detail}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ── Editable Value ──
+// Click to edit; Enter or blur commits, Escape cancels, an empty field clears.
+// Committing the untouched value is a no-op so a stray click never overrides.
+function EditableValue({ value, min, max, step, onCommit, title, children, style }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState("");
+  const cancelled = useRef(false);
+
+  function commit() {
+    setEditing(false);
+    if (cancelled.current || String(draft) === String(value ?? "")) return;
+    if (String(draft).trim() === "") return onCommit(null);
+    const n = Number(draft);
+    if (Number.isFinite(n)) onCommit(Math.min(max, Math.max(min, n)));
+  }
+
+  if (editing) {
+    return (
+      <input
+        autoFocus
+        type="number"
+        min={min}
+        max={max}
+        step={step}
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === "Enter") e.currentTarget.blur();
+          if (e.key === "Escape") { cancelled.current = true; e.currentTarget.blur(); }
+        }}
+        style={{
+          width: 52, padding: "2px 4px", borderRadius: 4,
+          background: "rgba(255,255,255,0.1)", border: "1px solid rgba(255,106,0,0.5)",
+          color: "#fff", fontSize: 12, outline: "none", textAlign: "right",
+          fontFamily: "'JetBrains Mono', monospace",
+        }}
+      />
+    );
+  }
+  return (
+    <button
+      onClick={() => { cancelled.current = false; setDraft(value ?? ""); setEditing(true); }}
+      title={title}
+      style={{
+        background: "none", border: "none", padding: 0, cursor: "text", textAlign: "right",
+        fontFamily: "'JetBrains Mono', monospace", ...style,
+      }}
+    >
+      {children}
+    </button>
+  );
+}
+
+// ── Trim Editor ──
+// The length cell of a track row: shows the played length and opens the trim
+// points in m:ss. An empty field plays from the start or to the end.
+function TrimField({ label, value, max, onCommit }) {
+  const [draft, setDraft] = useState(value != null ? formatClock(value) : "");
+  function commit() {
+    const text = draft.trim();
+    const ms = !text ? null : /^0+$/.test(text) ? 0 : parseDuration(text);
+    if (text && ms == null) return setDraft(value != null ? formatClock(value) : "");
+    const clamped = ms == null ? null : Math.min(max, ms);
+    if (clamped !== (value ?? null)) onCommit(clamped);
+  }
+  return (
+    <label style={{ display: "flex", alignItems: "center", gap: 4, color: "#888", fontSize: 11 }}>
+      {label}
+      <input
+        value={draft}
+        placeholder={label === "Ein" ? "0:00" : formatClock(max)}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+        style={{
+          width: 44, padding: "2px 4px", borderRadius: 4,
+          background: "rgba(255,255,255,0.1)", border: "1px solid rgba(255,106,0,0.5)",
+          color: "#fff", fontSize: 12, outline: "none", textAlign: "right",
+          fontFamily: "'JetBrains Mono', monospace",
+        }}
+      />
+    </label>
+  );
+}
+
+// Position or class minute of a pin, committed on blur like the trim fields
+const MAX_PIN_MINUTE = 300;
+
+function PinValueField({ pin, max, onCommit }) {
+  const [draft, setDraft] = useState(String(pin.value));
+  function commit() {
+    const value = Math.round(Number(draft));
+    if (!draft.trim() || !Number.isFinite(value)) return setDraft(String(pin.value));
+    const clamped = Math.min(max, Math.max(pin.at === "position" ? 1 : 0, value));
+    setDraft(String(clamped));
+    if (clamped !== pin.value) onCommit({ ...pin, value: clamped });
+  }
+  return (
+    <input
+      type="number"
+      min={pin.at === "position" ? 1 : 0}
+      max={max}
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+      title={pin.at === "position" ? "Position in der Klasse" : "Minute im Kurs"}
+      aria-label={pin.at === "position" ? "Fixierte Position" : "Fixierte Minute"}
+      style={{
+        width: 40, padding: "2px 4px", borderRadius: 4,
+        background: "rgba(255,106,0,0.15)", border: "1px solid rgba(255,106,0,0.4)",
+        color: "#ff8c42", fontSize: 11, outline: "none", textAlign: "right",
+        fontFamily: "'JetBrains Mono', monospace",
+      }}
+    />
+  );
+}
+
+function TrimEditor({ track, onOverride }) {
+  const [open, setOpen] = useState(false);
+  const trimmed = track.trimStartMs != null || track.trimEndMs != null;
+  if (!track.duration_ms) {
+    return <div style={{ color: "#555", fontSize: 12, width: 44, textAlign: "right" }}>—</div>;
+  }
+  return (
+    <div style={{ position: "relative", width: 44, textAlign: "right" }}>
+      <button
+        onClick={() => setOpen(!open)}
+        title={trimmed
+          ? `Gekürzt: ${formatClock(track.trimStartMs || 0)}–${formatClock(track.trimEndMs ?? track.duration_ms)} von ${formatClock(track.duration_ms)}`
+          : "Ein- und Ausstieg setzen"}
+        style={{
+          background: "none", border: "none", padding: 0, cursor: "pointer", width: 44, textAlign: "right",
+          color: trimmed ? "#fff" : "#555", fontSize: 12, fontFamily: "'JetBrains Mono', monospace",
+          textDecoration: trimmed ? "underline dotted" : "none",
+        }}
+      >
+        {formatClock(trimmedMs(track))}
+      </button>
+      {open && (
+        <div
+          onKeyDown={(e) => { if (e.key === "Escape") setOpen(false); }}
+          style={{
+            position: "absolute", right: 0, top: "100%", zIndex: 10, marginTop: 4,
+            display: "flex", alignItems: "center", gap: 8, padding: "6px 8px", borderRadius: 8,
+            background: "#1c1c22", border: "1px solid rgba(255,255,255,0.1)", boxShadow: "0 4px 16px rgba(0,0,0,0.5)",
+          }}
+        >
+          <TrimField label="Ein" value={track.trimStartMs} max={track.duration_ms} onCommit={(v) => onOverride(track.id, "trimStart", v)} />
+          <TrimField label="Aus" value={track.trimEndMs} max={track.duration_ms} onCommit={(v) => onOverride(track.id, "trimEnd", v)} />
+          <button
+            onClick={() => setOpen(false)}
+            style={{ background: "none", border: "none", color: "#ff8c42", cursor: "pointer", fontSize: 13, padding: 0 }}
+          >
+            ✓
+          </button>
+        </div>
+      )}
     </div>
   );
 }
 
 // ── Track Row ──
-function TrackRow({ track, index, onDragStart, onDragOver, onDrop }) {
+function TrackRow({
+  track, index, total, startMs, pin, showSources, highlighted, issues, onPin, onDragStart, onDragOver, onDrop, onRemove, onOverride,
+  onMove, onHover, pointer,
+}) {
   const energy = track.energy ?? 0;
   const hue = energy * 40;
+  const cadence = cadenceFromBpm(track.bpm);
+  const zone = cadenceZone(cadence);
+  const camelot = camelotCode(track);
+  const estimated = track.energySource === "estimated";
+  const energyTitle = estimated
+    ? `Geschätzt, Konfidenz ${Math.round((track.energyConfidence ?? 0) * 100)}%`
+      + (track.genres?.length ? ` (${track.genres.slice(0, 3).join(", ")})` : "")
+    : track.energySource === "cached" ? "Spotify Audio Features (Cache)"
+    : track.energySource === "manual" ? "Manuell gesetzt"
+    : track.energySource === "imported" ? "Importiert" : "Spotify Audio Features";
+  const overridden = track.overridden || {};
+  const editHint = " · Klicken zum Bearbeiten, leer lassen zum Zurücksetzen";
+  const isDragSource = pointer.dragState?.from === index;
+  const isDropTarget = pointer.dragState && pointer.dragState.over === index && !isDragSource;
+
+  // Alt+↑/↓ moves by one, Alt+Home/End to the start or end of the class
+  function handleKeyDown(e) {
+    if (e.target !== e.currentTarget || !e.altKey) return;
+    const to = { ArrowUp: index - 1, ArrowDown: index + 1, Home: 0, End: total - 1 }[e.key];
+    if (to == null) return;
+    e.preventDefault();
+    if (to >= 0 && to < total && to !== index) onMove(index, to);
+  }
+
   return (
     <div
       draggable
+      data-track-index={index}
+      tabIndex={0}
+      role="listitem"
+      aria-label={`Position ${index + 1} von ${total}: ${track.name} – ${track.artist}`}
+      aria-keyshortcuts="Alt+ArrowUp Alt+ArrowDown Alt+Home Alt+End"
+      onKeyDown={handleKeyDown}
       onDragStart={() => onDragStart(index)}
       onDragOver={(e) => { e.preventDefault(); onDragOver(index); }}
       onDrop={() => onDrop(index)}
       style={{
         display: "flex", alignItems: "center", gap: 12, padding: "10px 16px",
-        background: "rgba(255,255,255,0.03)", borderRadius: 8,
+        background: highlighted ? "rgba(255,140,66,0.12)" : "rgba(255,255,255,0.03)", borderRadius: 8,
         cursor: "grab", transition: "background 0.2s",
         borderLeft: `3px solid hsl(${hue}, 80%, 50%)`,
+        boxShadow: isDropTarget ? `inset 0 ${pointer.dragState.over < pointer.dragState.from ? 2 : -2}px 0 #ff6a00` : "none",
+        opacity: isDragSource ? 0.5 : 1,
       }}
-      onMouseEnter={(e) => e.currentTarget.style.background = "rgba(255,255,255,0.08)"}
-      onMouseLeave={(e) => e.currentTarget.style.background = "rgba(255,255,255,0.03)"}
+      onMouseEnter={(e) => { e.currentTarget.style.background = "rgba(255,255,255,0.08)"; onHover(index); }}
+      onMouseLeave={(e) => { e.currentTarget.style.background = "rgba(255,255,255,0.03)"; onHover(null); }}
     >
-      <span style={{ color: "#666", fontVariantNumeric: "tabular-nums", width: 28, fontSize: 13, fontFamily: "'JetBrains Mono', monospace" }}>
-        {String(index + 1).padStart(2, "0")}
+      <span
+        aria-hidden="true"
+        onPointerDown={(e) => pointer.onPointerDown(e, index)}
+        onPointerMove={pointer.onPointerMove}
+        onPointerUp={pointer.onPointerUp}
+        onPointerCancel={pointer.onPointerCancel}
+        style={{ color: "#555", fontSize: 16, cursor: "grab", touchAction: "none", padding: "4px 2px", userSelect: "none" }}
+      >
+        ⠿
       </span>
+      <EditableValue
+        value={index + 1}
+        min={1}
+        max={total}
+        step={1}
+        onCommit={(v) => { if (v != null && Math.round(v) - 1 !== index) onMove(index, Math.round(v) - 1); }}
+        title="Auf Position verschieben"
+        style={{ color: "#666", fontVariantNumeric: "tabular-nums", width: 28, fontSize: 13, textAlign: "left" }}
+      >
+        {String(index + 1).padStart(2, "0")}
+      </EditableValue>
       {track.albumArt && (
         <img src={track.albumArt} alt="" style={{ width: 40, height: 40, borderRadius: 4, objectFit: "cover" }} />
       )}
@@ -96,9 +848,24 @@ function TrackRow({ track, index, onDragStart, onDragOver, onDrop }) {
         </div>
         <div style={{ color: "#888", fontSize: 12, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", fontFamily: "'Outfit', sans-serif" }}>
           {track.artist}
+          {showSources && track.sources?.length > 0 && (
+            <span style={{ color: "#ff8c42", opacity: 0.7 }}> · {track.sources.join(", ")}</span>
+          )}
         </div>
       </div>
-      <div style={{
+      {issues?.length > 0 && (
+        <span
+          title={issues.map((i) => `${ISSUE_LABELS[i.kind]}: ${i.message}`).join("\n")}
+          aria-label={`Probleme: ${issues.map((i) => ISSUE_LABELS[i.kind]).join(", ")}`}
+          style={{
+            display: "flex", gap: 2, padding: "2px 6px", borderRadius: 6, fontSize: 11, whiteSpace: "nowrap",
+            background: "rgba(255,82,82,0.12)", border: "1px solid rgba(255,82,82,0.3)",
+          }}
+        >
+          {[...new Set(issues.map((i) => i.kind))].map((kind) => <span key={kind}>{ISSUE_ICONS[kind]}</span>)}
+        </span>
+      )}
+      <div title={energyTitle} style={{
         display: "flex", alignItems: "center", gap: 8,
       }}>
         <div style={{
@@ -106,23 +873,750 @@ function TrackRow({ track, index, onDragStart, onDragOver, onDrop }) {
         }}>
           <div style={{
             width: `${energy * 100}%`, height: "100%", borderRadius: 3,
-            background: `linear-gradient(90deg, hsl(${hue}, 80%, 45%), hsl(${hue + 15}, 90%, 55%))`,
+            background: estimated
+              ? `repeating-linear-gradient(135deg, hsl(${hue}, 80%, 50%) 0 3px, transparent 3px 6px)`
+              : `linear-gradient(90deg, hsl(${hue}, 80%, 45%), hsl(${hue + 15}, 90%, 55%))`,
+            opacity: estimated ? 0.4 + 0.6 * (track.energyConfidence ?? 0) : 1,
           }} />
         </div>
-        <span style={{
-          color: `hsl(${hue}, 80%, 60%)`, fontSize: 13, fontWeight: 600, width: 36, textAlign: "right",
-          fontFamily: "'JetBrains Mono', monospace",
-        }}>
-          {energy.toFixed(2)}
-        </span>
+        <EditableValue
+          value={track.energy}
+          min={0}
+          max={1}
+          step={0.01}
+          onCommit={(v) => onOverride(track.id, "energy", v)}
+          title={energyTitle + editHint}
+          style={{
+            color: overridden.energy ? "#fff" : `hsl(${hue}, 80%, 60%)`, fontSize: 13, fontWeight: 600, width: 44,
+            fontStyle: estimated ? "italic" : "normal", opacity: estimated ? 0.75 : 1,
+            textDecoration: overridden.energy ? "underline dotted" : "none",
+          }}
+        >
+          {estimated ? `~${energy.toFixed(2)}` : energy.toFixed(2)}
+        </EditableValue>
+      </div>
+      <div style={{ width: 40, textAlign: "right" }}>
+        <EditableValue
+          value={track.bpm}
+          min={40}
+          max={250}
+          step={1}
+          onCommit={(v) => onOverride(track.id, "bpm", v == null ? null : Math.round(v))}
+          title={(overridden.bpm ? "BPM manuell gesetzt" : "BPM") + editHint}
+          style={{
+            color: overridden.bpm ? "#fff" : "#555", fontSize: 12, width: 40,
+            textDecoration: overridden.bpm ? "underline dotted" : "none",
+          }}
+        >
+          {track.bpm ? `${track.bpm}` : "—"}
+        </EditableValue>
+      </div>
+      <div style={{ width: 28, textAlign: "right" }}>
+        <EditableValue
+          value={track.intensity ?? ""}
+          min={INTENSITY_MIN}
+          max={INTENSITY_MAX}
+          step={1}
+          onCommit={(v) => onOverride(track.id, "intensity", v == null ? null : Math.round(v))}
+          title={`Eigene Intensität (${INTENSITY_MIN}–${INTENSITY_MAX})` + editHint}
+          style={{ color: track.intensity ? "#ff8c42" : "#444", fontSize: 12, width: 28 }}
+        >
+          {track.intensity ?? "·"}
+        </EditableValue>
+      </div>
+      <div style={{
+        width: 32, textAlign: "right", fontSize: 12, fontFamily: "'JetBrains Mono', monospace",
+        color: camelot ? `hsl(${camelot.number * 30}, 60%, ${camelot.letter === "B" ? 65 : 50}%)` : "#555",
+      }}>
+        {formatCamelot(camelot)}
+      </div>
+      <div style={{ width: 64, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>
+        {zone ? (
+          <>
+            <div style={{ color: `hsl(${zone.hue}, 70%, 60%)`, fontSize: 12 }}>{cadence} rpm</div>
+            <div style={{ color: `hsl(${zone.hue}, 40%, 45%)`, fontSize: 10, textTransform: "uppercase", letterSpacing: 0.5 }}>{zone.label}</div>
+          </>
+        ) : (
+          <span style={{ color: "#555", fontSize: 12 }}>—</span>
+        )}
+      </div>
+      <TrimEditor track={track} onOverride={onOverride} />
+      <select
+        value={pin?.at || ""}
+        onChange={(e) => {
+          const at = e.target.value;
+          if (!at) onPin(track.id, null);
+          else if (at === "position") onPin(track.id, { at, value: index + 1 });
+          else if (at === "minute") onPin(track.id, { at, value: Math.round(startMs / 60000) });
+          else onPin(track.id, { at });
+        }}
+        title={pin ? `Fixiert: ${pinLabel(pin)}` : "Beim Sortieren fixieren"}
+        aria-label="Position beim Sortieren fixieren"
+        style={{
+          width: 64, padding: "2px 0", borderRadius: 6, fontSize: 11,
+          background: pin ? "rgba(255,106,0,0.15)" : "transparent",
+          border: `1px solid ${pin ? "rgba(255,106,0,0.4)" : "rgba(255,255,255,0.06)"}`,
+          color: pin ? "#ff8c42" : "#555", fontFamily: "'Outfit', sans-serif",
+        }}
+      >
+        <option value="">📌</option>
+        <option value="start">{PIN_LABELS.start}</option>
+        <option value="end">{PIN_LABELS.end}</option>
+        <option value="position">{PIN_LABELS.position}</option>
+        <option value="minute">{PIN_LABELS.minute}</option>
+      </select>
+      {(pin?.at === "position" || pin?.at === "minute") && (
+        <PinValueField
+          key={`${pin.at}:${pin.value}`}
+          pin={pin}
+          max={pin.at === "position" ? total : MAX_PIN_MINUTE}
+          onCommit={(next) => onPin(track.id, next)}
+        />
+      )}
+      <button
+        onClick={() => onRemove(index)}
+        title="Aus der Klasse nehmen"
+        style={{
+          background: "none", border: "none", color: "#555", cursor: "pointer",
+          fontSize: 14, padding: 0, width: 16,
+        }}
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+// ── Unused Track Row ──
+function UnusedTrackRow({ track, reason, onRestore }) {
+  const energy = track.energy ?? 0;
+  return (
+    <div style={{
+      display: "flex", alignItems: "center", gap: 12, padding: "8px 16px",
+      background: "rgba(255,255,255,0.02)", borderRadius: 8, opacity: 0.7,
+    }}>
+      <div style={{ flex: 1, minWidth: 0, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis", fontSize: 13 }}>
+        <span style={{ color: "#ccc" }}>{track.name}</span>
+        <span style={{ color: "#666" }}> · {track.artist}</span>
+      </div>
+      {reason && (
+        <span style={{ color: "#888", fontSize: 11, padding: "2px 8px", borderRadius: 6, background: "rgba(255,255,255,0.05)" }}>
+          {reason}
+        </span>
+      )}
+      <span style={{ color: `hsl(${energy * 40}, 80%, 60%)`, fontSize: 12, fontFamily: "'JetBrains Mono', monospace" }}>
+        {energy.toFixed(2)}
+      </span>
+      <span style={{ color: "#555", fontSize: 12, width: 44, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>
+        {track.duration_ms ? formatClock(trimmedMs(track)) : "—"}
+      </span>
+      <button
+        onClick={onRestore}
+        style={{
+          background: "rgba(255,106,0,0.12)", border: "none", color: "#ff8c42",
+          padding: "4px 10px", borderRadius: 6, cursor: "pointer", fontSize: 12,
+          fontFamily: "'Outfit', sans-serif",
+        }}
+      >
+        + Einfügen
+      </button>
+    </div>
+  );
+}
+
+// ── Pool Filter Panel ──
+// Edits a draft of the filter; nothing changes in the class until it is applied.
+const FILTER_RANGES = [
+  { label: "Dauer", min: "minMinutes", max: "maxMinutes", unit: "min", step: 0.5 },
+  { label: "Energy", min: "energyMin", max: "energyMax", unit: "", step: 0.05 },
+  { label: "BPM", min: "bpmMin", max: "bpmMax", unit: "", step: 5 },
+];
+
+function PoolFilterPanel({ filter, onApply }) {
+  const [draft, setDraft] = useState(filter);
+  const [artistText, setArtistText] = useState(filter.artists.join("\n"));
+  const inputStyle = {
+    padding: "6px 8px", borderRadius: 8,
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+    color: "#eee", fontSize: 13, outline: "none",
+    fontFamily: "'JetBrains Mono', monospace",
+  };
+  const buttonStyle = {
+    padding: "6px 12px", borderRadius: 8, border: "none",
+    background: "rgba(255,255,255,0.06)", color: "#ccc",
+    fontWeight: 600, fontSize: 12, cursor: "pointer",
+    fontFamily: "'Outfit', sans-serif",
+  };
+  const update = (key, value) => setDraft({ ...draft, [key]: value });
+
+  function apply() {
+    // One artist per line, since names like "Tyler, The Creator" contain commas
+    onApply({ ...draft, artists: artistText.split("\n").map(a => a.trim()).filter(Boolean) });
+  }
+
+  function reset() {
+    setDraft(DEFAULT_POOL_FILTER);
+    setArtistText("");
+  }
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.02)", borderRadius: 12, padding: 12,
+      border: "1px solid rgba(255,255,255,0.05)", marginBottom: 20, fontSize: 13, color: "#888",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 16, marginBottom: 10, flexWrap: "wrap" }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+          <input type="checkbox" checked={draft.duplicates} onChange={(e) => update("duplicates", e.target.checked)} style={{ accentColor: "#ff6a00" }} />
+          Duplikate entfernen
+        </label>
+        <label style={{ display: "flex", alignItems: "center", gap: 6, cursor: "pointer" }}>
+          <input type="checkbox" checked={draft.explicit} onChange={(e) => update("explicit", e.target.checked)} style={{ accentColor: "#ff6a00" }} />
+          Explicit ausschließen
+        </label>
+      </div>
+      <div style={{ display: "flex", alignItems: "center", gap: 16, marginBottom: 10, flexWrap: "wrap" }}>
+        {FILTER_RANGES.map((r) => (
+          <div key={r.label} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            {r.label}
+            {[r.min, r.max].map((key, i) => (
+              <Fragment key={key}>
+                {i === 1 && "–"}
+                <input
+                  type="number"
+                  min={0}
+                  step={r.step}
+                  value={draft[key] ?? ""}
+                  placeholder="—"
+                  aria-label={`${r.label} ${i ? "max" : "min"}`}
+                  onChange={(e) => update(key, e.target.value === "" ? null : Number(e.target.value))}
+                  style={{ ...inputStyle, width: 56 }}
+                />
+              </Fragment>
+            ))}
+            {r.unit}
+          </div>
+        ))}
+      </div>
+      <label style={{ display: "block", marginBottom: 10 }}>
+        Künstler ausschließen (einer pro Zeile)
+        <textarea
+          value={artistText}
+          onChange={(e) => setArtistText(e.target.value)}
+          rows={2}
+          style={{ ...inputStyle, display: "block", width: "100%", boxSizing: "border-box", marginTop: 4, resize: "vertical", fontFamily: "'Outfit', sans-serif" }}
+        />
+      </label>
+      <div style={{ display: "flex", gap: 8 }}>
+        <button onClick={reset} style={buttonStyle}>Zurücksetzen</button>
+        <button onClick={apply} style={{ ...buttonStyle, marginLeft: "auto", background: "rgba(255,106,0,0.2)", color: "#ff8c42" }}>
+          🧹 Filter anwenden
+        </button>
+      </div>
+    </div>
+  );
+}
+
+// ── Class Plan Editor ──
+const PLAN_FIELDS = [
+  { key: "minutes", label: "min", step: 1, width: 44 },
+  { key: "energyMin", label: "Energy", step: 0.05, width: 52 },
+  { key: "energyMax", label: "–", step: 0.05, width: 52 },
+  { key: "cadenceMin", label: "rpm", step: 5, width: 48 },
+  { key: "cadenceMax", label: "–", step: 5, width: 48 },
+];
+
+function ClassPlanEditor({ plan, savedPlans, onChange, onApply, onSave, onLoad, onDelete }) {
+  const inputStyle = {
+    padding: "6px 8px", borderRadius: 8,
+    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+    color: "#eee", fontSize: 13, outline: "none",
+    fontFamily: "'JetBrains Mono', monospace",
+  };
+  const buttonStyle = {
+    padding: "6px 12px", borderRadius: 8, border: "none",
+    background: "rgba(255,255,255,0.06)", color: "#ccc",
+    fontWeight: 600, fontSize: 12, cursor: "pointer",
+    fontFamily: "'Outfit', sans-serif",
+  };
+  const totalMin = plan.segments.reduce((s, seg) => s + (seg.minutes || 0), 0);
+
+  function updateSegment(index, key, value) {
+    onChange({ ...plan, segments: plan.segments.map((seg, i) => i === index ? { ...seg, [key]: value } : seg) });
+  }
+
+  function removeSegment(index) {
+    onChange({ ...plan, segments: plan.segments.filter((_, i) => i !== index) });
+  }
+
+  function addSegment() {
+    const last = plan.segments.at(-1);
+    onChange({
+      ...plan,
+      segments: [...plan.segments, {
+        label: "Segment", minutes: 5, energyMin: last?.energyMin ?? 0.5, energyMax: last?.energyMax ?? 0.7,
+        cadenceMin: null, cadenceMax: null, note: "",
+      }],
+    });
+  }
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.02)", borderRadius: 12, padding: 12,
+      border: "1px solid rgba(255,255,255,0.05)", marginBottom: 12, fontSize: 13, color: "#888",
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 10, flexWrap: "wrap" }}>
+        <input
+          value={plan.name}
+          onChange={(e) => onChange({ ...plan, name: e.target.value })}
+          aria-label="Name des Kursplans"
+          style={{ ...inputStyle, width: 180, fontFamily: "'Outfit', sans-serif" }}
+        />
+        <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>{totalMin} min</span>
+        <button onClick={() => onSave(plan)} disabled={!plan.name.trim()} style={buttonStyle}>Plan speichern</button>
+        {savedPlans.length > 0 && (
+          <select
+            value=""
+            onChange={(e) => e.target.value && onLoad(savedPlans.find(p => p.name === e.target.value))}
+            style={{ ...inputStyle, fontFamily: "'Outfit', sans-serif" }}
+          >
+            <option value="">Gespeicherte Pläne…</option>
+            {savedPlans.map((p) => <option key={p.name} value={p.name}>{p.name}</option>)}
+          </select>
+        )}
+        {savedPlans.some(p => p.name === plan.name) && (
+          <button onClick={() => onDelete(plan.name)} style={buttonStyle}>Löschen</button>
+        )}
+        <button
+          onClick={onApply}
+          disabled={!plan.segments.length}
+          style={{ ...buttonStyle, marginLeft: "auto", background: "rgba(255,106,0,0.2)", color: "#ff8c42" }}
+        >
+          ⚡ Plan anwenden
+        </button>
+      </div>
+      {plan.segments.map((seg, i) => (
+        <div key={i} style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 6, flexWrap: "wrap" }}>
+          <input
+            value={seg.label}
+            onChange={(e) => updateSegment(i, "label", e.target.value)}
+            aria-label={`Segment ${i + 1} Name`}
+            style={{ ...inputStyle, width: 110, fontFamily: "'Outfit', sans-serif" }}
+          />
+          {PLAN_FIELDS.map((f) => (
+            <label key={f.key} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              {f.label}
+              <input
+                type="number"
+                min={0}
+                step={f.step}
+                value={seg[f.key] ?? ""}
+                placeholder="—"
+                onChange={(e) => updateSegment(i, f.key, e.target.value === "" ? null : Number(e.target.value))}
+                style={{ ...inputStyle, width: f.width }}
+              />
+            </label>
+          ))}
+          <input
+            value={seg.note}
+            onChange={(e) => updateSegment(i, "note", e.target.value)}
+            placeholder="Notiz"
+            aria-label={`Segment ${i + 1} Notiz`}
+            style={{ ...inputStyle, flex: 1, minWidth: 100, fontFamily: "'Outfit', sans-serif" }}
+          />
+          <button onClick={() => removeSegment(i)} title="Segment entfernen" style={{ ...buttonStyle, color: "#888" }}>✕</button>
+        </div>
+      ))}
+      <button onClick={addSegment} style={buttonStyle}>+ Segment</button>
+    </div>
+  );
+}
+
+// ── Segment Header ──
+// Shown above the first track of each plan segment, with how the tracks that
+// landed there compare to the planned length and energy range.
+function SegmentHeader({ segment, tracks, crossfadeMs }) {
+  const ms = tracks.reduce((s, t) => s + slotMs(t, crossfadeMs), 0);
+  const energies = tracks.map(t => t.energy).filter(e => e != null);
+  const avg = energies.length ? energies.reduce((s, e) => s + e, 0) / energies.length : null;
+  const inRange = avg == null || rangeDistance(avg, segment.energyMin, segment.energyMax) === 0;
+  const cadence = segment.cadenceMin != null || segment.cadenceMax != null
+    ? ` · ${segment.cadenceMin ?? ""}–${segment.cadenceMax ?? ""} rpm`
+    : "";
+  return (
+    <div style={{
+      display: "flex", alignItems: "baseline", gap: 10, padding: "10px 16px 4px",
+      fontSize: 12, color: "#888", borderTop: "1px solid rgba(255,106,0,0.15)",
+    }}>
+      <span style={{ color: "#ff8c42", fontWeight: 600, textTransform: "uppercase", letterSpacing: 1 }}>{segment.label}</span>
+      <span style={{ fontFamily: "'JetBrains Mono', monospace" }}>
+        {(ms / 60000).toFixed(1)}/{segment.minutes} min · Energy {segment.energyMin ?? ""}–{segment.energyMax ?? ""}
+        {avg != null && <span style={{ color: inRange ? "#888" : "#ff5252" }}> (⌀ {avg.toFixed(2)})</span>}
+        {cadence}
+      </span>
+      {segment.note && <span style={{ color: "#aaa", fontStyle: "italic" }}>{segment.note}</span>}
+    </div>
+  );
+}
+
+// ── Cue Sheet ──
+// Light, print-first layout for the bike. Controls carry the no-print class.
+function CueSheet({ title, subtitle, rows, onBack }) {
+  const cell = { padding: "6px 8px", borderBottom: "1px solid #ddd", textAlign: "left", verticalAlign: "top" };
+  const mono = { ...cell, fontFamily: "'JetBrains Mono', monospace", whiteSpace: "nowrap" };
+  const last = rows.at(-1);
+  const totalMs = last ? last.startMs + last.playedMs : 0;
+  return (
+    <div style={{ minHeight: "100vh", background: "#fff", color: "#111", fontFamily: "'Outfit', sans-serif", padding: "24px 32px" }}>
+      <style>{`@media print { .no-print { display: none !important } @page { margin: 12mm } }`}</style>
+      <div className="no-print" style={{ display: "flex", gap: 8, marginBottom: 20 }}>
+        <button onClick={onBack} style={{ padding: "8px 14px", borderRadius: 8, border: "1px solid #ccc", background: "#f4f4f4", cursor: "pointer" }}>
+          ← Zurück
+        </button>
+        <button onClick={() => window.print()} style={{ padding: "8px 14px", borderRadius: 8, border: "none", background: "#ff6a00", color: "#fff", fontWeight: 600, cursor: "pointer" }}>
+          🖨 Drucken
+        </button>
+      </div>
+      <h1 style={{ fontSize: 22, margin: "0 0 4px" }}>{title}</h1>
+      <div style={{ color: "#555", fontSize: 13, marginBottom: 16 }}>
+        {subtitle} · {rows.length} Tracks · {formatClock(totalMs)} min
+      </div>
+      <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 13 }}>
+        <thead>
+          <tr>
+            {["#", "Start", "Titel / Künstler", "Energy", "BPM", "Kadenz", "Dauer"].map((h) => (
+              <th key={h} style={{ ...cell, borderBottom: "2px solid #111", fontSize: 11, textTransform: "uppercase" }}>{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ position, startMs, playedMs, track, cadence, segment, segmentStart }) => (
+            <Fragment key={`${track.id}-${position}`}>
+              {segmentStart && (
+                <tr style={{ breakInside: "avoid" }}>
+                  <td colSpan={7} style={{ ...cell, paddingTop: 14, background: "#fff3e8", fontWeight: 600 }}>
+                    {segment.label} · {segment.minutes} min
+                    {segment.note && <span style={{ fontWeight: 400, fontStyle: "italic" }}> – {segment.note}</span>}
+                  </td>
+                </tr>
+              )}
+              <tr style={{ breakInside: "avoid" }}>
+                <td style={mono}>{position}</td>
+                <td style={{ ...mono, fontWeight: 600 }}>{formatClock(startMs)}</td>
+                <td style={cell}>
+                  <div style={{ fontWeight: 600 }}>{track.name}</div>
+                  <div style={{ color: "#555" }}>{track.artist}</div>
+                </td>
+                <td style={mono}>{track.energy != null ? track.energy.toFixed(2) : "—"}</td>
+                <td style={mono}>{track.bpm || "—"}</td>
+                <td style={mono}>{cadence ? `${cadence} rpm` : "—"}</td>
+                <td style={mono}>
+                  {track.duration_ms ? formatClock(playedMs) : "—"}
+                  {playedMs < (track.duration_ms || 0) && (
+                    <div style={{ color: "#555", fontSize: 11 }}>
+                      {formatClock(track.trimStartMs || 0)}–{formatClock(track.trimEndMs ?? track.duration_ms)}
+                    </div>
+                  )}
+                </td>
+              </tr>
+            </Fragment>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// ── Ride Mode ──
+// Big-screen view for teaching the class: current and next track, class and
+// segment time, the target to ride at and a countdown before every change.
+// Plays through a Spotify device or, for rehearsing, a silent local clock.
+const RIDE_TICK_MS = 250;
+const RIDE_SYNC_MS = 3000;
+// Stable stand-in for "no plan", so the timeline is not rebuilt every render
+const NO_SEGMENTS = [];
+
+const countdown = (ms) => formatClock(Math.ceil(Math.max(0, ms) / 1000) * 1000);
+const formatRange = (min, max, digits = 2) => min == null && max == null ? "—"
+  : min != null && max != null && Math.abs(min - max) < 1e-9 ? min.toFixed(digits)
+  : `${min?.toFixed(digits) ?? ""}–${max?.toFixed(digits) ?? ""}`;
+
+function RideMode({ title, tracks, segments, crossfadeMs, target, targetMetric, spotify, webPlayback, playbackHint, onExit }) {
+  const timeline = useMemo(() => rideTimeline(tracks, segments, crossfadeMs), [tracks, segments, crossfadeMs]);
+  const [source, setSource] = useState("mock");
+  const [devices, setDevices] = useState([]);
+  const [error, setError] = useState("");
+  const [offClass, setOffClass] = useState(false);
+  const [, setTick] = useState(0);
+  const elapsed = useRef(0);
+
+  const deviceId = rideDevice(source, webPlayback.deviceId);
+  const player = useMemo(() => source === "mock"
+    ? createMockPlayer({ startMs: elapsed.current })
+    : createConnectPlayer({ spotify, timeline, deviceId, startMs: elapsed.current }), [source, deviceId, timeline]);
+
+  // Switching players or leaving ride mode stops the old one
+  useEffect(() => () => {
+    if (player.position().playing) player.pause().catch(() => {});
+  }, [player]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setTick((t) => t + 1), RIDE_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (player.kind === "mock") return;
+    const timer = setInterval(() => {
+      player.sync().then((inClass) => setOffClass(!inClass)).catch((e) => setError("Wiedergabe-Status: " + e.message));
+    }, RIDE_SYNC_MS);
+    return () => clearInterval(timer);
+  }, [player]);
+
+  function loadDevices() {
+    spotify.devices().then(setDevices).catch((e) => setError("Geräte laden fehlgeschlagen: " + e.message));
+  }
+
+  useEffect(() => {
+    if (spotify && !playbackHint) loadDevices();
+  }, []);
+
+  const { elapsedMs, playing } = player.position();
+  const state = rideState(timeline, elapsedMs, { segments, target, targetMetric });
+  elapsed.current = state.elapsedMs;
+
+  useEffect(() => {
+    if (state.finished && playing) player.pause().catch(() => {});
+  }, [state.finished, playing]);
+
+  // Trims and the crossfade end a track before the device does; move it on now
+  useEffect(() => {
+    if (player.kind === "mock" || !playing) return;
+    player.sync().then((inClass) => setOffClass(!inClass)).catch((e) => setError("Wiedergabe-Status: " + e.message));
+  }, [state.index]);
+
+  function run(action) {
+    setError("");
+    action().catch((e) => setError("Wiedergabe fehlgeschlagen: " + e.message));
+  }
+
+  function togglePlay() {
+    if (source === "web") webPlayback.activate();
+    run(() => playing ? player.pause() : player.play(state.finished ? 0 : state.elapsedMs));
+  }
+
+  function skip(direction) {
+    const { index, trackElapsedMs } = state;
+    // Back restarts the current track, or goes to the previous one right after a change
+    const to = direction > 0 ? index + 1 : trackElapsedMs < 3000 ? index - 1 : index;
+    if (to < 0 || to >= timeline.length) return;
+    run(() => player.seek(timeline[to].startMs));
+  }
+
+  const keyActions = useRef();
+  keyActions.current = { " ": togglePlay, ArrowLeft: () => skip(-1), ArrowRight: () => skip(1), Escape: onExit };
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const action = keyActions.current[e.key];
+      if (!action || e.target.closest?.("select, input")) return;
+      e.preventDefault();
+      action();
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  const { entry, next, segment, cue } = state;
+  const track = entry?.track;
+  const label = { fontSize: 13, color: "#777", textTransform: "uppercase", letterSpacing: 2, marginBottom: 6 };
+  const mono = { fontFamily: "'JetBrains Mono', monospace" };
+  const buttonStyle = {
+    padding: "14px 22px", borderRadius: 12, border: "none", background: "rgba(255,255,255,0.08)",
+    color: "#eee", fontSize: 22, cursor: "pointer", fontFamily: "'Outfit', sans-serif",
+  };
+  const cueText = !cue ? null
+    : cue.kind === "segment" ? `${cue.segment.label} in ${countdown(cue.inMs)}${cue.segment.note ? ` · ${cue.segment.note}` : ""}`
+    : cue.kind === "track" ? `Nächster Track in ${countdown(cue.inMs)}`
+    : `Ende in ${countdown(cue.inMs)}`;
+
+  return (
+    <div style={{
+      minHeight: "100vh", background: "#07070b", color: "#eee", fontFamily: "'Outfit', sans-serif",
+      padding: "20px 32px", boxSizing: "border-box", display: "flex", flexDirection: "column", gap: 24,
+    }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 12, flexWrap: "wrap" }}>
+        <button onClick={onExit} style={{ ...buttonStyle, fontSize: 14, padding: "8px 14px" }}>← Beenden</button>
+        <span style={{ fontSize: 16, color: "#aaa" }}>{title}</span>
+        <select
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          aria-label="Wiedergabe"
+          style={{
+            marginLeft: "auto", padding: "8px 10px", borderRadius: 8, background: "rgba(255,255,255,0.06)",
+            border: "1px solid rgba(255,255,255,0.1)", color: "#ddd", fontSize: 13, fontFamily: "'Outfit', sans-serif",
+          }}
+        >
+          <option value="mock">Probe ohne Ton</option>
+          {webPlayback.deviceId && <option value="web">Spotify in diesem Browser</option>}
+          {devices.map((d) => <option key={d.id} value={d.id}>Spotify: {d.name}</option>)}
+        </select>
+        {spotify && !playbackHint && (
+          <button onClick={loadDevices} title="Geräte neu laden" style={{ ...buttonStyle, fontSize: 14, padding: "8px 12px" }}>↻</button>
+        )}
+      </div>
+      {(playbackHint || webPlayback.error || error || offClass) && (
+        <div style={{ fontSize: 13, color: "#ff8a80" }}>
+          {error || (offClass && "Spotify spielt gerade einen Track außerhalb dieser Klasse.") || playbackHint || webPlayback.error}
+        </div>
+      )}
+
+      {/* Class progress with segment boundaries */}
+      <div>
+        <div style={{ display: "flex", justifyContent: "space-between", ...mono, fontSize: 28 }}>
+          <span>{formatClock(state.elapsedMs)}</span>
+          <span style={{ color: "#777" }}>−{countdown(state.remainingMs)}</span>
+        </div>
+        <div style={{ position: "relative", height: 10, borderRadius: 5, background: "rgba(255,255,255,0.08)", marginTop: 8 }}>
+          <div style={{
+            width: `${state.totalMs ? (state.elapsedMs / state.totalMs) * 100 : 0}%`, height: "100%", borderRadius: 5,
+            background: "linear-gradient(90deg, #ff6a00, #ff4e00)",
+          }} />
+          {timeline.map((e, i) => i > 0 && e.segmentIndex !== timeline[i - 1].segmentIndex && (
+            <div key={i} style={{
+              position: "absolute", top: -4, bottom: -4, width: 2, background: "#ff8c42",
+              left: `${(e.startMs / state.totalMs) * 100}%`,
+            }} />
+          ))}
+        </div>
+      </div>
+
+      <div role="status" aria-live="polite" style={{
+        minHeight: 64, padding: "12px 20px", borderRadius: 14, fontSize: "clamp(22px, 3.5vw, 40px)", fontWeight: 700,
+        background: cue ? "rgba(255,106,0,0.18)" : "transparent", color: "#ff8c42",
+      }}>
+        {cueText}
+      </div>
+
+      <div style={{ display: "grid", gridTemplateColumns: "minmax(0, 2fr) minmax(0, 1fr)", gap: 32, flex: 1 }}>
+        <div>
+          <div style={label}>Jetzt · {state.index + 1}/{timeline.length}</div>
+          <div style={{ fontSize: "clamp(32px, 5.5vw, 72px)", fontWeight: 700, lineHeight: 1.1 }}>{track?.name}</div>
+          <div style={{ fontSize: "clamp(18px, 2.5vw, 30px)", color: "#999", marginTop: 8 }}>{track?.artist}</div>
+          <div style={{ ...mono, fontSize: "clamp(48px, 9vw, 120px)", fontWeight: 700, marginTop: 16 }}>
+            {countdown(state.trackRemainingMs)}
+          </div>
+          <div style={{ ...mono, fontSize: 18, color: "#aaa" }}>
+            Energy {track?.energy?.toFixed(2) ?? "—"} · {track?.bpm ? `${Math.round(track.bpm)} BPM` : "— BPM"}
+            {state.cadence && ` · ${state.cadence} rpm`}
+          </div>
+        </div>
+        <div style={{ display: "flex", flexDirection: "column", gap: 24 }}>
+          <div>
+            <div style={label}>{segment ? segment.label : "Ziel"}</div>
+            <div style={{ ...mono, fontSize: 32, fontWeight: 700, color: "#ff8c42" }}>
+              {formatRange(state.target.energyMin, state.target.energyMax)}
+            </div>
+            <div style={{ ...mono, fontSize: 22, color: "#ddd" }}>
+              {formatRange(state.target.cadenceMin, state.target.cadenceMax, 0)} rpm
+            </div>
+            {segment && (
+              <div style={{ ...mono, fontSize: 16, color: "#888", marginTop: 6 }}>
+                noch {countdown(state.segmentRemainingMs)}
+              </div>
+            )}
+            {segment?.note && <div style={{ fontSize: 20, color: "#ccc", fontStyle: "italic", marginTop: 6 }}>{segment.note}</div>}
+          </div>
+          <div>
+            <div style={label}>Danach</div>
+            {next ? (
+              <>
+                <div style={{ fontSize: 22, fontWeight: 600 }}>{next.track.name}</div>
+                <div style={{ fontSize: 16, color: "#888" }}>{next.track.artist}</div>
+                <div style={{ ...mono, fontSize: 14, color: "#777", marginTop: 4 }}>
+                  Energy {next.track.energy?.toFixed(2) ?? "—"}
+                  {state.nextSegment && next.segmentIndex !== entry.segmentIndex && ` · ${state.nextSegment.label}`}
+                </div>
+              </>
+            ) : (
+              <div style={{ fontSize: 18, color: "#666" }}>Cool-down zu Ende</div>
+            )}
+          </div>
+        </div>
       </div>
-      <div style={{ color: "#555", fontSize: 12, width: 40, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>
-        {track.bpm ? `${track.bpm}` : "—"}
+
+      <div style={{ display: "flex", justifyContent: "center", gap: 12 }}>
+        <button onClick={() => skip(-1)} aria-label="Vorheriger Track" style={buttonStyle}>⏮</button>
+        <button
+          onClick={togglePlay}
+          aria-label={playing ? "Pause" : "Abspielen"}
+          style={{ ...buttonStyle, padding: "14px 36px", background: "linear-gradient(135deg, #ff6a00, #ff4e00)" }}
+        >
+          {playing ? "⏸" : "▶"}
+        </button>
+        <button onClick={() => skip(1)} aria-label="Nächster Track" style={buttonStyle}>⏭</button>
       </div>
-      <div style={{ color: "#555", fontSize: 12, width: 44, textAlign: "right", fontFamily: "'JetBrains Mono', monospace" }}>
-        {track.duration_ms
-          ? `${Math.floor(track.duration_ms / 60000)}:${String(Math.floor((track.duration_ms % 60000) / 1000)).padStart(2, "0")}`
-          : "—"}
+    </div>
+  );
+}
+
+// ── Import Panel ──
+function ImportPanel({ onImport }) {
+  const [list, setList] = useState("");
+  const fileInput = useRef(null);
+
+  async function handleFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) onImport(await file.text(), file.name.replace(/\.[^.]+$/, ""));
+  }
+
+  return (
+    <div style={{
+      background: "rgba(255,255,255,0.03)", borderRadius: 16, padding: 24, marginTop: 16,
+      border: "1px solid rgba(255,255,255,0.06)",
+    }}>
+      <h2 style={{ fontSize: 16, fontWeight: 600, marginTop: 0, color: "#eee" }}>Tracks importieren</h2>
+      <p style={{ color: "#888", fontSize: 13, lineHeight: 1.6, margin: "8px 0 16px" }}>
+        Eine exportierte JSON- oder CSV-Datei laden oder eine Liste einfügen, eine Zeile pro Track:{" "}
+        <code style={{ color: "#bbb", fontFamily: "'JetBrains Mono', monospace" }}>Künstler - Titel | 0.8 | 128 bpm | 3:45</code>.
+        Energy, BPM und Dauer sind optional. Funktioniert ohne Spotify-Login.
+      </p>
+      <textarea
+        value={list}
+        onChange={(e) => setList(e.target.value)}
+        rows={4}
+        placeholder="Queen - Don't Stop Me Now | 0.86 | 156 bpm | 3:29"
+        style={{
+          width: "100%", boxSizing: "border-box", padding: "10px 14px", borderRadius: 10, resize: "vertical",
+          background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+          color: "#eee", fontSize: 13, outline: "none",
+          fontFamily: "'JetBrains Mono', monospace",
+        }}
+      />
+      <div style={{ display: "flex", gap: 10, marginTop: 10 }}>
+        <button
+          onClick={() => onImport(list, "Eigene Liste")}
+          disabled={!list.trim()}
+          style={{
+            padding: "10px 20px", borderRadius: 10, border: "none",
+            background: "rgba(255,106,0,0.2)", color: list.trim() ? "#ff8c42" : "#777",
+            fontWeight: 600, fontSize: 13, cursor: list.trim() ? "pointer" : "default",
+            fontFamily: "'Outfit', sans-serif",
+          }}
+        >
+          Liste übernehmen
+        </button>
+        <button
+          onClick={() => fileInput.current.click()}
+          style={{
+            padding: "10px 20px", borderRadius: 10, border: "none",
+            background: "rgba(255,255,255,0.08)", color: "#ccc",
+            fontWeight: 600, fontSize: 13, cursor: "pointer",
+            fontFamily: "'Outfit', sans-serif",
+          }}
+        >
+          📂 Datei laden…
+        </button>
+        <input ref={fileInput} type="file" accept=".json,.csv,.txt,.tsv" onChange={handleFile} style={{ display: "none" }} />
       </div>
     </div>
   );
@@ -130,20 +1624,60 @@ function TrackRow({ track, index, onDragStart, onDragOver, onDrop }) {
 
 // ── Main App ──
 export default function App() {
-  const [clientId, setClientId] = useState("");
-  const [token, setToken] = useState(null);
+  const [session, setSession] = useState(loadSession);
+  const [clientId, setClientId] = useState(() => session?.clientId || "");
   const [playlists, setPlaylists] = useState([]);
   const [selectedPlaylist, setSelectedPlaylist] = useState(null);
   const [tracks, setTracks] = useState([]);
-  const [sortedTracks, setSortedTracks] = useState([]);
+  const history = useEditHistory({
+    sortedTracks: [], unusedTracks: [], excludedTracks: [], filterExceptions: {},
+    overrides: loadOverrides(), pins: {}, isSorted: false,
+  });
+  const { sortedTracks, unusedTracks, excludedTracks, filterExceptions, overrides, pins, isSorted } = history.present;
+  const [showHistory, setShowHistory] = useState(false);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const [showCadence, setShowCadence] = useState(false);
+  const [spacing, setSpacing] = useState(loadSpacing);
+  const sortedSpacing = useRef(spacing);
+  const [targetMin, setTargetMin] = useState("");
+  const [toleranceMin, setToleranceMin] = useState(2);
+  const [crossfadeSec, setCrossfadeSec] = useState(loadCrossfade);
+  const crossfadeMs = crossfadeSec * 1000;
   const [loading, setLoading] = useState("");
   const [error, setError] = useState("");
-  const [isSorted, setIsSorted] = useState(false);
+  const [curveId, setCurveId] = useState("pyramid");
+  const [sortMetric, setSortMetric] = useState("energy");
+  const [harmonic, setHarmonic] = useState(false);
+  const [curveParams, setCurveParams] = useState(() => Object.fromEntries(
+    Object.entries(CURVE_TEMPLATES).map(([id, template]) => [id, defaultCurveParams(template)])
+  ));
+  const [sortMode, setSortMode] = useState("curve"); // curve | plan
+  const [classPlan, setClassPlan] = useState(DEFAULT_CLASS_PLAN);
+  const [savedPlans, setSavedPlans] = useState(loadClassPlans);
+  const [poolFilter, setPoolFilter] = useState(loadPoolFilter);
+  const [showFilter, setShowFilter] = useState(false);
   const [saving, setSaving] = useState(false);
+  const [saveProgress, setSaveProgress] = useState("");
+  const [saveMode, setSaveMode] = useState("new");
+  const [playlistSnapshot, setPlaylistSnapshot] = useState(null);
+  const [playlistItemUris, setPlaylistItemUris] = useState([]);
+  const [mergeSelection, setMergeSelection] = useState([]);
   const [saveSuccess, setSaveSuccess] = useState(false);
-  const [view, setView] = useState("setup"); // setup | playlists | tracks
+  const [view, setView] = useState("setup"); // setup | playlists | tracks | cue | ride
   const dragItem = useRef(null);
   const dragOverItem = useRef(null);
+  const focusIndex = useRef(null);
+  const [announcement, setAnnouncement] = useState("");
+  const sessionRef = useRef(session);
+  const refreshPromise = useRef(null);
+  const isLoggedIn = !!session;
+
+  function updateSession(next) {
+    sessionRef.current = next;
+    setSession(next);
+    if (next) storeSession(next);
+    else clearSession();
+  }
 
   // Check for token in URL on mount
   useEffect(() => {
@@ -164,26 +1698,10 @@ export default function App() {
     try {
       setLoading("Authenticating...");
       const redirectUri = window.location.origin + window.location.pathname;
-      const resp = await fetch(TOKEN_URL, {
-        method: "POST",
-        headers: { "Content-Type": "application/x-www-form-urlencoded" },
-        body: new URLSearchParams({
-          client_id: cId,
-          grant_type: "authorization_code",
-          code,
-          redirect_uri: redirectUri,
-          code_verifier: verifier,
-        }),
-      });
-      const data = await resp.json();
-      if (data.access_token) {
-        setToken(data.access_token);
-        setView("playlists");
-      } else {
-        setError("Auth failed: " + (data.error_description || data.error));
-      }
+      updateSession(await exchangeCode({ clientId: cId, code, verifier, redirectUri }));
+      setView("playlists");
     } catch (e) {
-      setError("Token exchange failed: " + e.message);
+      setError((e.status ? "Auth failed: " : "Token exchange failed: ") + e.message);
     } finally {
       setLoading("");
     }
@@ -195,44 +1713,100 @@ export default function App() {
       return;
     }
     setError("");
-    const verifier = generateRandomString(128);
-    const challenge = base64urlencode(await sha256(verifier));
+    const { verifier, challenge } = await createPkcePair();
     sessionStorage.setItem("pkce_verifier", verifier);
     sessionStorage.setItem("spotify_client_id", clientId.trim());
 
     const redirectUri = window.location.origin + window.location.pathname;
-    const params = new URLSearchParams({
-      client_id: clientId.trim(),
-      response_type: "code",
-      redirect_uri: redirectUri,
-      scope: SCOPES,
-      code_challenge_method: "S256",
-      code_challenge: challenge,
-    });
-    window.location.href = `${AUTH_URL}?${params}`;
+    window.location.href = authorizeUrl({ clientId: clientId.trim(), redirectUri, challenge });
   }
 
-  async function spotifyFetch(url) {
-    const resp = await fetch(url, {
-      headers: { Authorization: `Bearer ${token}` },
+  // Overrides follow the history, so undoing an edit also reverts storage
+  useEffect(() => { storeOverrides(overrides); }, [overrides]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep
+  // their own native undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) { e.preventDefault(); history.undo(); }
+      else if ((key === "z" && e.shiftKey) || key === "y") { e.preventDefault(); history.redo(); }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [history.undo, history.redo]);
+
+  // Record a workspace edit; any edit invalidates the last save
+  function commitEdit(label, changes) {
+    history.commit(label, changes);
+    setSaveSuccess(false);
+  }
+
+  function clearWorkspace() {
+    setTracks([]);
+    setSelectedPlaylist(null);
+    history.reset("Start", {
+      sortedTracks: [], unusedTracks: [], excludedTracks: [], filterExceptions: {}, overrides, pins: {}, isSorted: false,
     });
-    if (!resp.ok) throw new Error(`Spotify API ${resp.status}: ${resp.statusText}`);
-    return resp.json();
   }
 
+  function logout() {
+    updateSession(null);
+    setPlaylists([]);
+    clearWorkspace();
+    setSaveSuccess(false);
+    setError("");
+    setView("setup");
+  }
+
+  // Returns a valid access token, refreshing it shortly before expiry.
+  // Concurrent callers share one refresh request.
+  async function getAccessToken(forceRefresh = false) {
+    const current = sessionRef.current;
+    if (!current) throw new Error("Nicht eingeloggt");
+    if (!forceRefresh && Date.now() < current.expiresAt - REFRESH_MARGIN_MS) {
+      return current.accessToken;
+    }
+    if (!refreshPromise.current) {
+      refreshPromise.current = refreshSession(current)
+        .then((next) => {
+          updateSession(next);
+          return next;
+        })
+        .catch((e) => {
+          // A rejected refresh token cannot be recovered; network errors can
+          if (e.status === 400 || e.status === 401) logout();
+          throw new Error("Sitzung abgelaufen, bitte neu einloggen (" + e.message + ")");
+        })
+        .finally(() => { refreshPromise.current = null; });
+    }
+    return (await refreshPromise.current).accessToken;
+  }
+
+  const spotify = createSpotifyClient({ getAccessToken });
+  const grantedScopes = session?.scope?.split(" ") || [];
+  const canPlayback = PLAYBACK_SCOPES.every(s => grantedScopes.includes(s));
+  const webPlayback = useWebPlayback(view === "ride" && canPlayback, getAccessToken);
+
+  // Refresh silently before the access token expires
+  useEffect(() => {
+    if (!session) return;
+    const delay = Math.max(0, session.expiresAt - REFRESH_MARGIN_MS - Date.now());
+    const timer = setTimeout(() => {
+      getAccessToken().catch((e) => setError(e.message));
+    }, delay);
+    return () => clearTimeout(timer);
+  }, [session]);
+
   // Load playlists
   useEffect(() => {
-    if (!token) return;
+    if (!isLoggedIn) return;
     (async () => {
       setLoading("Playlists laden...");
       try {
-        let all = [];
-        let url = "https://api.spotify.com/v1/me/playlists?limit=50";
-        while (url) {
-          const data = await spotifyFetch(url);
-          all = all.concat(data.items || []);
-          url = data.next;
-        }
+        const all = await spotify.playlists((done, total) => setLoading(`Playlists laden... ${done}/${total}`));
         setPlaylists(all);
         setView("playlists");
       } catch (e) {
@@ -241,78 +1815,125 @@ export default function App() {
         setLoading("");
       }
     })();
-  }, [token]);
+  }, [isLoggedIn]);
+
+  // Start a workspace from an imported file or pasted list, no login needed
+  function importTracks(text, name) {
+    setError("");
+    try {
+      const { tracks: imported, skipped } = parseTrackImport(text);
+      if (!imported.length) throw new Error("keine Tracks gefunden");
+      setSelectedPlaylist({ id: `import:${name}`, name, imported: true });
+      if (saveMode === "inPlace") setSaveMode("new");
+      setPlaylistSnapshot(null);
+      setPlaylistItemUris([]);
+      setSaveSuccess(false);
+      setTracks(imported);
+      const { kept, excluded } = filterPool(imported.map(t => applyOverride(t, overrides[t.id])), poolFilter);
+      history.reset("Importiert", {
+        sortedTracks: kept,
+        unusedTracks: [],
+        excludedTracks: excluded,
+        filterExceptions: {},
+        overrides,
+        pins: {},
+        isSorted: false,
+      });
+      if (skipped) setError(`${skipped} doppelte oder unvollständige Einträge wurden beim Import übersprungen.`);
+      setView("tracks");
+    } catch (e) {
+      setError("Import fehlgeschlagen: " + e.message);
+    }
+  }
 
-  // Load tracks + audio features
-  async function loadPlaylist(playlist) {
+  // Load tracks + audio features of one playlist, or merge several into one pool
+  async function loadPlaylists(selection) {
+    const merged = selection.length > 1;
+    const playlist = merged
+      ? { id: selection.map(p => p.id).join("+"), name: selection.map(p => p.name).join(" + "), merged: true }
+      : selection[0];
     setSelectedPlaylist(playlist);
+    // A merged pool has no single original to reorder
+    if (merged && saveMode === "inPlace") setSaveMode("new");
+    setMergeSelection([]);
     setLoading("Tracks & Audio Features laden...");
     setError("");
-    setIsSorted(false);
     setSaveSuccess(false);
     try {
+      // Remember the version we load so saving in place can detect later edits
+      if (!merged) {
+        setPlaylistSnapshot(await spotify.playlistSnapshot(playlist.id));
+      }
+
       // Fetch all tracks
-      let allItems = [];
-      let url = `https://api.spotify.com/v1/playlists/${playlist.id}/tracks?limit=100`;
-      while (url) {
-        const data = await spotifyFetch(url);
-        allItems = allItems.concat(data.items || []);
-        url = data.next;
+      const itemsPerPlaylist = [];
+      for (const [n, source] of selection.entries()) {
+        const items = await spotify.playlistItems(
+          source.id,
+          (done, total) => setLoading(
+            merged ? `Tracks laden (${n + 1}/${selection.length})... ${done}/${total}` : `Tracks laden... ${done}/${total}`
+          ),
+        );
+        itemsPerPlaylist.push({ playlist: source, items });
       }
 
-      const validTracks = allItems.filter(i => i.track && i.track.id && !i.track.is_local);
+      const allItems = itemsPerPlaylist.flatMap(p => p.items);
+      setPlaylistItemUris(merged ? [] : allItems.map(i => i.track?.uri ?? null));
+      const playable = itemsPerPlaylist.map(p => ({
+        ...p,
+        items: p.items.filter(isPlayableItem),
+      }));
+      const validTracks = merged
+        ? mergePlaylistItems(playable)
+        : playable[0].items.map(i => ({ ...i, sources: [playlist.name] }));
 
       // Fetch audio features in batches of 100 (may fail due to API restrictions)
       const trackIds = validTracks.map(i => i.track.id);
+      const featuresCache = loadFeaturesCache();
       let features = {};
       let audioFeaturesAvailable = true;
       try {
-        for (let i = 0; i < trackIds.length; i += 100) {
-          const batch = trackIds.slice(i, i + 100);
-          const resp = await fetch(
-            `https://api.spotify.com/v1/audio-features?ids=${batch.join(",")}`,
-            { headers: { Authorization: `Bearer ${token}` } }
-          );
-          if (resp.status === 403) {
-            audioFeaturesAvailable = false;
-            break;
-          }
-          const data = await resp.json();
-          if (data.audio_features) {
-            data.audio_features.forEach(f => {
-              if (f) features[f.id] = f;
-            });
-          }
-        }
+        features = await spotify.audioFeatures(
+          trackIds,
+          (done, total) => setLoading(`Audio Features laden... ${done}/${total}`),
+        );
       } catch (e) {
+        // 403 for apps without audio-features access, or retries exhausted
         audioFeaturesAvailable = false;
       }
+      Object.values(features).forEach(f => { featuresCache[f.id] = cacheableFeatures(f); });
+      storeFeaturesCache(featuresCache);
+
+      // Genres of every artist on tracks we have to estimate (50 per request)
+      const needsEstimate = validTracks.filter(i => !features[i.track.id] && !featuresCache[i.track.id]);
+      let artistGenres = {};
+      if (needsEstimate.length) {
+        const artistIds = [...new Set(needsEstimate.flatMap(i => (i.track.artists || []).map(a => a.id).filter(Boolean)))];
+        try {
+          artistGenres = await spotify.artistGenres(
+            artistIds,
+            (done, total) => setLoading(`Genres für Energy-Schätzung laden... ${done}/${total}`),
+          );
+        } catch (e) {
+          // Without genres the estimate falls back to duration and explicit flag
+        }
+      }
 
       if (!audioFeaturesAvailable) {
-        setError("Audio Features API nicht verfügbar (Spotify-Einschränkung). Tracks werden nach Popularität sortiert.");
+        setError("Audio Features API nicht verfügbar (Spotify-Einschränkung). Energy wird aus Cache und Genres geschätzt (~).");
       }
 
-      const enriched = validTracks.map(item => {
-        const t = item.track;
-        const f = features[t.id] || {};
-        return {
-          id: t.id,
-          uri: t.uri,
-          name: t.name,
-          artist: (t.artists || []).map(a => a.name).join(", "),
-          albumArt: t.album?.images?.[2]?.url || t.album?.images?.[0]?.url,
-          energy: f.energy ?? (t.popularity ? t.popularity / 100 : null),
-          bpm: f.tempo ? Math.round(f.tempo) : null,
-          danceability: f.danceability ?? null,
-          valence: f.valence ?? null,
-          duration_ms: t.duration_ms,
-          popularity: t.popularity,
-          hasAudioFeatures: !!f.energy,
-        };
-      });
+      const enriched = validTracks.map(item => enrichTrack(item, { features, cachedFeatures: featuresCache, artistGenres }));
 
+      const withOverrides = enriched.map(t => applyOverride(t, overrides[t.id]));
       setTracks(enriched);
-      setSortedTracks(enriched);
+      if (merged && validTracks.length < allItems.length) {
+        setError(`${allItems.length - validTracks.length} doppelte oder nicht abspielbare Einträge wurden beim Zusammenführen entfernt.`);
+      }
+      const { kept, excluded } = filterPool(withOverrides, poolFilter);
+      history.reset("Geladen", {
+        sortedTracks: kept, unusedTracks: [], excludedTracks: excluded, filterExceptions: {}, overrides, pins: {}, isSorted: false,
+      });
       setView("tracks");
     } catch (e) {
       setError("Tracks laden fehlgeschlagen: " + e.message);
@@ -321,27 +1942,269 @@ export default function App() {
     }
   }
 
-  function applySorting() {
-    const sorted = pyramidSort(sortedTracks);
-    setSortedTracks(sorted);
-    setIsSorted(true);
+  // `changes` overrides the current sort settings for this run and keeps them
+  function applySorting(changes = {}) {
+    const settings = { sortMode: "curve", curveId, sortMetric, harmonic, spacing, ...changes };
+    sortedSpacing.current = settings.spacing;
+    setSortMode(settings.sortMode);
+    setHarmonic(settings.harmonic);
+    const planMode = settings.sortMode === "plan";
+    // Plans and target lengths choose from the whole pool; a plain curve only reorders the class
+    const fromPool = planMode || Number(targetMin) > 0;
+    const { selected, unused, label } = arrangeClass(fromPool ? [...sortedTracks, ...unusedTracks] : sortedTracks, {
+      mode: settings.sortMode,
+      curveId: settings.curveId,
+      params: changes.params || curveParams[settings.curveId],
+      metricId: settings.sortMetric,
+      harmonic: settings.harmonic,
+      pins,
+      targetMs: Number(targetMin) > 0 ? Number(targetMin) * 60000 : 0,
+      toleranceMs: Math.max(0, Number(toleranceMin) || 0) * 60000,
+      plan: classPlan,
+      crossfadeMs,
+      spacing: settings.spacing,
+    });
+    commitEdit(`${planMode ? "📋" : "⚡"} ${label}`, {
+      sortedTracks: selected,
+      unusedTracks: fromPool ? unused : unusedTracks,
+      isSorted: true,
+    });
+    if (planMode) return;
+    setCurveId(settings.curveId);
+    setSortMetric(settings.sortMetric);
+  }
+
+  function changeSortMetric(metricId) {
+    if (isSorted) applySorting({ sortMetric: metricId });
+    else setSortMetric(metricId);
+  }
+
+  function toggleHarmonic() {
+    if (isSorted) applySorting({ sortMode, harmonic: !harmonic });
+    else setHarmonic(!harmonic);
+  }
+
+  // Changes every time display at once; the order only follows on the next sort
+  function updateCrossfade(value) {
+    const seconds = Math.min(MAX_CROSSFADE_MS / 1000, Math.max(0, Number(value) || 0));
+    setCrossfadeSec(seconds);
+    storeCrossfade(seconds);
+  }
+
+  function updateSpacing(key, value) {
+    const next = { ...spacing, [key]: Math.min(60, Math.max(0, Math.round(Number(value)) || 0)) };
+    setSpacing(next);
+    storeSpacing(next);
+  }
+
+  // Unlike the crossfade, a new rule re-sorts so its effect shows, but only
+  // once the field is left: spacing a large pool takes a moment
+  function commitSpacing() {
+    const changed = Object.keys(DEFAULT_SPACING).some((key) => spacing[key] !== sortedSpacing.current[key]);
+    if (isSorted && changed) applySorting({ sortMode });
+  }
+
+  function updateCurveParam(id, key, value) {
+    const params = { ...curveParams[id], [key]: value };
+    setCurveParams({ ...curveParams, [id]: params });
+    if (isSorted && sortMode === "curve" && curveId === id) applySorting({ curveId: id, params });
+  }
+
+  function saveClassPlan(plan) {
+    const next = [...savedPlans.filter(p => p.name !== plan.name), plan];
+    storeClassPlans(next);
+    setSavedPlans(next);
+  }
+
+  function deleteClassPlan(name) {
+    const next = savedPlans.filter(p => p.name !== name);
+    storeClassPlans(next);
+    setSavedPlans(next);
   }
 
   function resetOrder() {
-    setSortedTracks([...tracks]);
-    setIsSorted(false);
+    const { kept, excluded } = filterPool(tracks.map(t => applyOverride(t, overrides[t.id])), poolFilter, filterExceptions);
+    commitEdit("↩ Reset", {
+      sortedTracks: kept,
+      unusedTracks: [],
+      excludedTracks: excluded,
+      isSorted: false,
+    });
+  }
+
+  // Re-filter the whole pool. Tracks keep their place in the class or the
+  // unused pile; tracks the new filter lets back in join the class, or the
+  // unused pile once it is sorted.
+  function applyPoolFilter(filter) {
+    storePoolFilter(filter);
+    setPoolFilter(filter);
+    const returning = excludedTracks.map(e => e.track);
+    const { kept, excluded } = filterPool([...sortedTracks, ...unusedTracks, ...returning], filter, filterExceptions);
+    const keep = new Set(kept);
+    const back = returning.filter(t => keep.has(t));
+    const remainingPins = { ...pins };
+    excluded.forEach(e => delete remainingPins[e.track.id]);
+    commitEdit(`🧹 Filter: ${excluded.length} ausgeschlossen`, {
+      sortedTracks: sortedTracks.filter(t => keep.has(t)).concat(isSorted ? [] : back),
+      unusedTracks: unusedTracks.filter(t => keep.has(t)).concat(isSorted ? back : []),
+      excludedTracks: excluded,
+      pins: remainingPins,
+    });
+  }
+
+  // Bring a filtered-out track back; later filter runs leave it alone
+  function restoreExcluded(index) {
+    const { track } = excludedTracks[index];
+    commitEdit(`+ ${track.name}`, {
+      sortedTracks: [...sortedTracks, track],
+      excludedTracks: excludedTracks.filter((_, i) => i !== index),
+      filterExceptions: { ...filterExceptions, [track.id]: true },
+    });
+  }
+
+  // Store a manual value (null clears it) and re-apply it to every loaded copy
+  function updateOverride(trackId, field, value) {
+    const current = { ...overrides[trackId] };
+    if (value == null) delete current[field];
+    else current[field] = value;
+    const next = { ...overrides };
+    if (Object.keys(current).length) next[trackId] = current;
+    else delete next[trackId];
+    const update = (list) => list.map(t => t.id === trackId ? applyOverride(t, next[trackId]) : t);
+    const name = sortedTracks.concat(unusedTracks).find(t => t.id === trackId)?.name || trackId;
+    commitEdit(`✎ ${field}: ${name}`, {
+      overrides: next,
+      sortedTracks: update(sortedTracks),
+      unusedTracks: update(unusedTracks),
+      excludedTracks: excludedTracks.map(e => e.track.id === trackId ? { ...e, track: applyOverride(e.track, next[trackId]) } : e),
+    });
+  }
+
+  // Pin a track (null releases it); pins only take effect on the next sort
+  function updatePin(trackId, pin) {
+    const next = { ...pins };
+    if (pin) next[trackId] = pin;
+    else delete next[trackId];
+    const name = sortedTracks.find(t => t.id === trackId)?.name || trackId;
+    commitEdit(pin ? `📌 ${name}: ${pinLabel(pin)}` : `📌 ${name} gelöst`, { pins: next });
+  }
+
+  // Move tracks between the class and the unused pile by hand
+  function removeTrack(index) {
+    const remainingPins = { ...pins };
+    delete remainingPins[sortedTracks[index].id];
+    commitEdit(`✕ ${sortedTracks[index].name}`, {
+      unusedTracks: [...unusedTracks, sortedTracks[index]],
+      sortedTracks: sortedTracks.filter((_, i) => i !== index),
+      pins: remainingPins,
+    });
+  }
+
+  function restoreTrack(index) {
+    commitEdit(`+ ${unusedTracks[index].name}`, {
+      sortedTracks: [...sortedTracks, unusedTracks[index]],
+      unusedTracks: unusedTracks.filter((_, i) => i !== index),
+    });
+  }
+
+  // Every reorder (mouse, touch, keyboard, position entry) ends up here and
+  // is announced to screen readers
+  function moveTrack(from, to) {
+    if (from == null || to == null || from === to) return;
+    const copy = [...sortedTracks];
+    const moved = copy.splice(from, 1)[0];
+    copy.splice(to, 0, moved);
+    commitEdit(`↕ ${moved.name} → ${to + 1}`, { sortedTracks: copy });
+    setAnnouncement(`${moved.name} auf Position ${to + 1} von ${copy.length} verschoben`);
+    focusIndex.current = to;
+  }
+
+  // Keep keyboard focus on the moved row
+  useEffect(() => {
+    if (focusIndex.current == null) return;
+    document.querySelector(`[data-track-index="${focusIndex.current}"]`)?.focus();
+    focusIndex.current = null;
+  }, [sortedTracks]);
+
+  const pointerReorder = usePointerReorder(moveTrack);
+
+  function focusRow(index) {
+    document.querySelector(`[data-track-index="${index}"]`)?.focus();
   }
 
   // Drag & drop reorder
   function handleDragStart(index) { dragItem.current = index; }
   function handleDragOver(index) { dragOverItem.current = index; }
   function handleDrop() {
-    const copy = [...sortedTracks];
-    const dragged = copy.splice(dragItem.current, 1)[0];
-    copy.splice(dragOverItem.current, 0, dragged);
-    setSortedTracks(copy);
+    const from = dragItem.current;
+    const to = dragOverItem.current;
     dragItem.current = null;
     dragOverItem.current = null;
+    moveTrack(from, to);
+    focusIndex.current = null;
+  }
+
+  // The previously generated copy of the selected playlist, if we know one
+  function findGeneratedPlaylistId() {
+    if (!selectedPlaylist) return null;
+    const known = loadGeneratedPlaylists()[selectedPlaylist.id];
+    if (known) return known;
+    const prefix = `🚴 ${selectedPlaylist.name} (`;
+    return playlists.find(p => p.name?.startsWith(prefix))?.id || null;
+  }
+
+  function writePlaylistTracks(playlistId, uris, options = {}) {
+    return spotify.writeTracks(playlistId, uris, {
+      ...options,
+      onProgress: (done, total) => setSaveProgress(`${done}/${total}`),
+    });
+  }
+
+  async function createSortedPlaylist(me, name, description) {
+    const newPlaylist = await spotify.createPlaylist(me.id, { name, description });
+    // Imported tracks without a Spotify URI cannot be added
+    await writePlaylistTracks(newPlaylist.id, sortedTracks.map(t => t.uri).filter(Boolean));
+    storeGeneratedPlaylist(selectedPlaylist.id, newPlaylist.id);
+  }
+
+  async function updateSortedPlaylist(me, name, description) {
+    const targetId = findGeneratedPlaylistId();
+    // The old copy is gone: fall back to creating a fresh one
+    if (!targetId || !(await spotify.playlistExists(targetId))) return createSortedPlaylist(me, name, description);
+    await spotify.updatePlaylistDetails(targetId, { name, description });
+    await writePlaylistTracks(targetId, sortedTracks.map(t => t.uri).filter(Boolean), { replace: true });
+    storeGeneratedPlaylist(selectedPlaylist.id, targetId);
+  }
+
+  async function reorderOriginalPlaylist(me) {
+    if (selectedPlaylist.owner?.id !== me.id && !selectedPlaylist.collaborative) {
+      throw new Error("Nur eigene oder kollaborative Playlists können umsortiert werden");
+    }
+    const current = await spotify.playlistSnapshot(selectedPlaylist.id);
+    if (current !== playlistSnapshot
+      && !window.confirm("Die Playlist wurde seit dem Laden verändert. Trotzdem mit der sortierten Reihenfolge überschreiben?")) {
+      throw new Error("Abgebrochen, die Playlist wurde zwischenzeitlich geändert. Bitte neu laden.");
+    }
+
+    const uris = sortedTracks.map(t => t.uri);
+    const moves = isPermutation(playlistItemUris, uris) ? reorderMoves(playlistItemUris, uris) : null;
+    let snapshot = current;
+    if (moves && moves.length <= MAX_REORDER_MOVES) {
+      // Few moves: reorder in place, which keeps "added at" dates intact
+      for (const [i, move] of moves.entries()) {
+        setSaveProgress(`${i}/${moves.length}`);
+        snapshot = await spotify.moveTracks(selectedPlaylist.id, move, snapshot);
+      }
+    } else {
+      const dropped = playlistItemUris.length - uris.length;
+      if (!moves && dropped > 0
+        && !window.confirm(`${dropped} Einträge sind nicht in der sortierten Liste und werden aus der Original-Playlist entfernt. Fortfahren?`)) {
+        throw new Error("Abgebrochen");
+      }
+      snapshot = await writePlaylistTracks(selectedPlaylist.id, uris, { replace: true });
+    }
+    setPlaylistSnapshot(snapshot);
+    setPlaylistItemUris(uris);
   }
 
   // Save sorted playlist back to Spotify
@@ -350,54 +2213,97 @@ export default function App() {
     setSaving(true);
     setError("");
     try {
-      // Create new playlist
-      const me = await spotifyFetch("https://api.spotify.com/v1/me");
-      const newPlaylist = await fetch(`https://api.spotify.com/v1/users/${me.id}/playlists`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          name: `🚴 ${selectedPlaylist.name} (Pyramid Sorted)`,
-          description: `Energy-Pyramide sortiert für Indoor Cycling. Generated by Cycling Playlist Sorter.`,
-          public: false,
-        }),
-      }).then(r => r.json());
-
-      // Add tracks in batches of 100
-      const uris = sortedTracks.map(t => t.uri);
-      for (let i = 0; i < uris.length; i += 100) {
-        await fetch(`https://api.spotify.com/v1/playlists/${newPlaylist.id}/tracks`, {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${token}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({ uris: uris.slice(i, i + 100) }),
-        });
-      }
+      const me = await spotify.me();
+      const label = sortMode === "plan" ? classPlan.name : CURVE_TEMPLATES[curveId].label;
+      const name = generatedPlaylistName(selectedPlaylist.name, label);
+      const description = generatedPlaylistDescription(sortMode, label);
+      if (saveMode === "inPlace") await reorderOriginalPlaylist(me);
+      else if (saveMode === "update") await updateSortedPlaylist(me, name, description);
+      else await createSortedPlaylist(me, name, description);
       setSaveSuccess(true);
     } catch (e) {
       setError("Speichern fehlgeschlagen: " + e.message);
     } finally {
       setSaving(false);
+      setSaveProgress("");
     }
   }
 
   // ── Stats ──
-  const avgEnergy = sortedTracks.length
-    ? (sortedTracks.reduce((s, t) => s + (t.energy || 0), 0) / sortedTracks.length).toFixed(2)
-    : "—";
-  const avgBpm = sortedTracks.length
-    ? Math.round(sortedTracks.filter(t => t.bpm).reduce((s, t) => s + t.bpm, 0) / sortedTracks.filter(t => t.bpm).length) || "—"
-    : "—";
-  const totalMin = sortedTracks.length
-    ? Math.round(sortedTracks.reduce((s, t) => s + (t.duration_ms || 0), 0) / 60000)
-    : 0;
-  const maxEnergy = sortedTracks.length
-    ? Math.max(...sortedTracks.map(t => t.energy || 0))
-    : 0;
+  const stats = classStats(sortedTracks, crossfadeMs);
+  const avgEnergy = stats.avgEnergy != null ? stats.avgEnergy.toFixed(2) : "—";
+  const avgBpm = stats.avgBpm != null ? Math.round(stats.avgBpm) : "—";
+  const totalMin = Math.round(stats.totalMs / 60000);
+  const { startOffsets } = stats;
+  const planActive = isSorted && sortMode === "plan";
+  const durationTarget = planActive
+    ? classPlan.segments.reduce((s, seg) => s + (seg.minutes || 0), 0)
+    : Number(targetMin) > 0 && targetMin;
+  // Plan segment of every track by its midpoint, and where each segment starts
+  const trackSegments = planActive
+    ? sortedTracks.map((t, i) => segmentAt(classPlan.segments, startOffsets[i] + slotMs(t, crossfadeMs) / 2))
+    : [];
+  const segmentStarts = new Map();
+  trackSegments.forEach((seg, i) => {
+    if (seg !== -1 && seg !== trackSegments[i - 1]) segmentStarts.set(i, seg);
+  });
+  // The curve a sorted class follows, also the target in the chart and on the bike
+  const curveActive = isSorted && !planActive;
+  const sortTarget = curveActive ? curveTarget(sortedTracks, CURVE_TEMPLATES[curveId], {
+    params: curveParams[curveId],
+    metric: SORT_METRICS[sortMetric],
+    crossfadeMs,
+  }) : null;
+  const chartTargets = planActive ? { segments: classPlan.segments }
+    : curveActive ? { target: sortTarget, targetMetric: sortMetric }
+    : {};
+  const chart = classChart(sortedTracks, { crossfadeMs, ...chartTargets });
+  const offTargetCount = chart.bars.filter((b) => b.offTarget).length;
+  const quality = classQuality(chart, { spacing, crossfadeMs });
+  const spacingMisses = quality.artistRepeats + quality.albumRepeats;
+  const issuesByIndex = new Map();
+  quality.issues.forEach((issue) => issuesByIndex.set(issue.index, [...(issuesByIndex.get(issue.index) || []), issue]));
+  const sortLabel = !isSorted ? "Original"
+    : planActive ? classPlan.name
+    : CURVE_TEMPLATES[curveId].label;
+
+  function exportTracks(formatId) {
+    const format = EXPORT_FORMATS[formatId];
+    const name = isSorted ? generatedPlaylistName(selectedPlaylist.name, sortLabel) : selectedPlaylist.name;
+    const rows = cueSheetRows(sortedTracks, planActive ? classPlan.segments : [], crossfadeMs);
+    const meta = { name, sort: sortLabel, plan: planActive ? classPlan : null };
+    downloadFile(`${name.replace(/[\\/:*?"<>|]+/g, "_")}.${format.extension}`, format.build(rows, meta), format.type);
+  }
+
+  if (view === "cue") {
+    return (
+      <CueSheet
+        title={selectedPlaylist?.name}
+        subtitle={sortLabel}
+        rows={cueSheetRows(sortedTracks, planActive ? classPlan.segments : [], crossfadeMs)}
+        onBack={() => setView("tracks")}
+      />
+    );
+  }
+
+  if (view === "ride") {
+    return (
+      <RideMode
+        title={selectedPlaylist?.name}
+        tracks={sortedTracks}
+        segments={planActive ? classPlan.segments : NO_SEGMENTS}
+        crossfadeMs={crossfadeMs}
+        target={sortTarget}
+        targetMetric={curveActive ? sortMetric : "energy"}
+        spotify={isLoggedIn ? spotify : null}
+        webPlayback={webPlayback}
+        playbackHint={!isLoggedIn ? "Ohne Spotify-Login läuft der Ride-Modus als Probe ohne Ton."
+          : !canPlayback ? "Für die Wiedergabe über Spotify bitte ab- und neu einloggen (neue Berechtigungen)."
+          : ""}
+        onExit={() => setView("tracks")}
+      />
+    );
+  }
 
   // ── Render ──
   return (
@@ -438,12 +2344,25 @@ export default function App() {
             Playlist Energy Sorter
           </h1>
           <div style={{ fontSize: 14, color: "#666", marginTop: 8 }}>
-            Pyramiden-Sortierung: Warm-up → Peak → Cool-down
+            Energy-Kurven: Pyramide, Intervalle, Anstieg & mehr
           </div>
+          {isLoggedIn && (
+            <button
+              onClick={logout}
+              style={{
+                position: "absolute", top: 32, right: 20,
+                background: "rgba(255,255,255,0.06)", border: "none", color: "#aaa",
+                padding: "6px 12px", borderRadius: 8, cursor: "pointer", fontSize: 12,
+                fontFamily: "'Outfit', sans-serif",
+              }}
+            >
+              Logout
+            </button>
+          )}
         </div>
 
         {/* Setup View */}
-        {view === "setup" && !token && (
+        {view === "setup" && !isLoggedIn && (
           <div style={{
             background: "rgba(255,255,255,0.03)", borderRadius: 16, padding: 32,
             border: "1px solid rgba(255,255,255,0.06)",
@@ -520,46 +2439,77 @@ export default function App() {
         {/* Playlist Selection */}
         {view === "playlists" && !loading && (
           <div>
-            <h2 style={{ fontSize: 18, fontWeight: 600, color: "#eee", marginBottom: 16 }}>
-              Playlist wählen ({playlists.length})
-            </h2>
-            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
-              {playlists.map((p) => (
+            <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", gap: 12, marginBottom: 16 }}>
+              <h2 style={{ fontSize: 18, fontWeight: 600, color: "#eee", margin: 0 }}>
+                Playlist wählen ({playlists.length})
+              </h2>
+              {mergeSelection.length > 1 && (
                 <button
-                  key={p.id}
-                  onClick={() => loadPlaylist(p)}
+                  onClick={() => loadPlaylists(playlists.filter(p => mergeSelection.includes(p.id)))}
                   style={{
-                    display: "flex", alignItems: "center", gap: 12, padding: "10px 16px",
-                    background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)",
-                    borderRadius: 10, cursor: "pointer", textAlign: "left", color: "#ddd",
-                    transition: "background 0.2s, border-color 0.2s",
+                    padding: "8px 18px", borderRadius: 10, border: "none",
+                    background: "linear-gradient(135deg, #ff6a00, #ff4e00)",
+                    color: "#fff", fontWeight: 600, fontSize: 13, cursor: "pointer",
                     fontFamily: "'Outfit', sans-serif",
+                    boxShadow: "0 4px 20px rgba(255,106,0,0.3)",
                   }}
-                  onMouseEnter={(e) => { e.currentTarget.style.background = "rgba(255,106,0,0.08)"; e.currentTarget.style.borderColor = "rgba(255,106,0,0.2)"; }}
-                  onMouseLeave={(e) => { e.currentTarget.style.background = "rgba(255,255,255,0.03)"; e.currentTarget.style.borderColor = "rgba(255,255,255,0.06)"; }}
                 >
-                  {p.images?.[0]?.url ? (
-                    <img src={p.images[0].url} alt="" style={{ width: 44, height: 44, borderRadius: 6, objectFit: "cover" }} />
-                  ) : (
-                    <div style={{ width: 44, height: 44, borderRadius: 6, background: "rgba(255,255,255,0.06)", display: "flex", alignItems: "center", justifyContent: "center", color: "#555", fontSize: 18 }}>♫</div>
-                  )}
-                  <div>
-                    <div style={{ fontWeight: 500, fontSize: 14 }}>{p.name}</div>
-                    <div style={{ color: "#666", fontSize: 12 }}>{p.tracks?.total || 0} Tracks</div>
-                  </div>
+                  🔀 {mergeSelection.length} Playlists zusammenführen
                 </button>
+              )}
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              {playlists.map((p) => (
+                <div key={p.id} style={{ display: "flex", alignItems: "center", gap: 10 }}>
+                  <input
+                    type="checkbox"
+                    checked={mergeSelection.includes(p.id)}
+                    onChange={() => setMergeSelection(mergeSelection.includes(p.id)
+                      ? mergeSelection.filter(id => id !== p.id)
+                      : [...mergeSelection, p.id])}
+                    aria-label={`${p.name} zum Zusammenführen auswählen`}
+                    style={{ accentColor: "#ff6a00", width: 16, height: 16 }}
+                  />
+                  <button
+                    onClick={() => loadPlaylists([p])}
+                    style={{
+                      flex: 1,
+                      display: "flex", alignItems: "center", gap: 12, padding: "10px 16px",
+                      background: "rgba(255,255,255,0.03)", border: "1px solid rgba(255,255,255,0.06)",
+                      borderRadius: 10, cursor: "pointer", textAlign: "left", color: "#ddd",
+                      transition: "background 0.2s, border-color 0.2s",
+                      fontFamily: "'Outfit', sans-serif",
+                    }}
+                    onMouseEnter={(e) => { e.currentTarget.style.background = "rgba(255,106,0,0.08)"; e.currentTarget.style.borderColor = "rgba(255,106,0,0.2)"; }}
+                    onMouseLeave={(e) => { e.currentTarget.style.background = "rgba(255,255,255,0.03)"; e.currentTarget.style.borderColor = "rgba(255,255,255,0.06)"; }}
+                  >
+                    {p.images?.[0]?.url ? (
+                      <img src={p.images[0].url} alt="" style={{ width: 44, height: 44, borderRadius: 6, objectFit: "cover" }} />
+                    ) : (
+                      <div style={{ width: 44, height: 44, borderRadius: 6, background: "rgba(255,255,255,0.06)", display: "flex", alignItems: "center", justifyContent: "center", color: "#555", fontSize: 18 }}>♫</div>
+                    )}
+                    <div>
+                      <div style={{ fontWeight: 500, fontSize: 14 }}>{p.name}</div>
+                      <div style={{ color: "#666", fontSize: 12 }}>{p.tracks?.total || 0} Tracks</div>
+                    </div>
+                  </button>
+                </div>
               ))}
             </div>
           </div>
         )}
 
+        {((view === "setup" && !isLoggedIn) || view === "playlists") && !loading && (
+          <ImportPanel onImport={importTracks} />
+        )}
+
         {/* Track View */}
-        {view === "tracks" && !loading && sortedTracks.length > 0 && (
+        {view === "tracks" && !loading && (sortedTracks.length > 0 || unusedTracks.length > 0 || excludedTracks.length > 0) && (
           <div>
             {/* Back button + playlist name */}
             <div style={{ display: "flex", alignItems: "center", gap: 12, marginBottom: 20 }}>
               <button
-                onClick={() => { setView("playlists"); setTracks([]); setSortedTracks([]); setSelectedPlaylist(null); }}
+                onClick={() => { setView(isLoggedIn ? "playlists" : "setup"); clearWorkspace(); }}
                 style={{
                   background: "rgba(255,255,255,0.06)", border: "none", color: "#aaa",
                   padding: "8px 14px", borderRadius: 8, cursor: "pointer", fontSize: 13,
@@ -571,8 +2521,22 @@ export default function App() {
               <h2 style={{ fontSize: 18, fontWeight: 600, color: "#eee", margin: 0 }}>
                 {selectedPlaylist?.name}
               </h2>
+              <button
+                onClick={() => setShowFilter(!showFilter)}
+                aria-expanded={showFilter}
+                style={{
+                  marginLeft: "auto", padding: "8px 14px", borderRadius: 8, border: "none",
+                  background: showFilter ? "rgba(255,106,0,0.2)" : "rgba(255,255,255,0.06)",
+                  color: showFilter ? "#ff8c42" : "#aaa", fontSize: 13, cursor: "pointer",
+                  fontFamily: "'Outfit', sans-serif",
+                }}
+              >
+                🧹 Filter{excludedTracks.length > 0 && ` · ${excludedTracks.length} ausgeschlossen`}
+              </button>
             </div>
 
+            {showFilter && <PoolFilterPanel filter={poolFilter} onApply={applyPoolFilter} />}
+
             {/* Stats */}
             <div style={{
               display: "grid", gridTemplateColumns: "repeat(4, 1fr)", gap: 12, marginBottom: 24,
@@ -581,7 +2545,7 @@ export default function App() {
                 { label: "Tracks", value: sortedTracks.length },
                 { label: "⌀ Energy", value: avgEnergy },
                 { label: "⌀ BPM", value: avgBpm },
-                { label: "Dauer", value: `${totalMin} min` },
+                { label: "Dauer", value: durationTarget ? `${totalMin}/${durationTarget} min` : `${totalMin} min` },
               ].map((s) => (
                 <div key={s.label} style={{
                   background: "rgba(255,255,255,0.03)", borderRadius: 10, padding: "12px 14px",
@@ -602,39 +2566,267 @@ export default function App() {
               background: "rgba(255,255,255,0.02)", borderRadius: 12, padding: "20px 16px",
               border: "1px solid rgba(255,255,255,0.05)", marginBottom: 20,
             }}>
-              <div style={{ fontSize: 11, color: "#666", textTransform: "uppercase", letterSpacing: 1, marginBottom: 12 }}>
-                Energy Kurve {isSorted ? "⚡ Pyramid" : "· Original"}
-              </div>
-              <div style={{
-                display: "flex", alignItems: "flex-end", gap: 2, height: 80,
-              }}>
-                {sortedTracks.map((t, i) => (
-                  <EnergyBar
-                    key={`${t.id}-${i}`}
-                    energy={t.energy || 0}
-                    index={i}
-                    total={sortedTracks.length}
-                    isHighest={(t.energy || 0) === maxEnergy}
-                  />
-                ))}
+              <div style={{ display: "flex", alignItems: "center", gap: 10, marginBottom: 12 }}>
+                <div style={{ flex: 1, fontSize: 11, color: "#666", textTransform: "uppercase", letterSpacing: 1 }}>
+                  Energy Kurve {!isSorted ? "· Original"
+                    : sortMode === "plan" ? `📋 ${classPlan.name}`
+                    : `⚡ ${CURVE_TEMPLATES[curveId].label} · ${SORT_METRICS[sortMetric].label}`}
+                </div>
+                {offTargetCount > 0 && (
+                  <span style={{ fontSize: 11, color: "#ff5252" }}>
+                    {offTargetCount} {offTargetCount === 1 ? "Track" : "Tracks"} neben dem Ziel
+                  </span>
+                )}
+                <button
+                  onClick={() => setShowCadence(!showCadence)}
+                  aria-pressed={showCadence}
+                  style={{
+                    padding: "3px 10px", borderRadius: 6, border: "none", fontSize: 11, cursor: "pointer",
+                    background: showCadence ? "rgba(79,195,247,0.15)" : "rgba(255,255,255,0.05)",
+                    color: showCadence ? CADENCE_COLOR : "#777", fontFamily: "'Outfit', sans-serif",
+                  }}
+                >
+                  {CHART_SERIES.cadence.label}
+                </button>
               </div>
+              <ClassChart
+                chart={chart}
+                spans={chartTargetSpans(chart, chartTargets)}
+                showCadence={showCadence}
+                hoverIndex={hoverIndex}
+                onHover={setHoverIndex}
+                onMove={moveTrack}
+                onSelect={focusRow}
+              />
             </div>
 
+            {sortedTracks.length > 1 && (
+              <QualityPanel
+                quality={quality}
+                spacing={spacing}
+                onJump={focusRow}
+              />
+            )}
+
             {/* Action Buttons */}
-            <div style={{ display: "flex", gap: 10, marginBottom: 20, flexWrap: "wrap" }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12, fontSize: 13, color: "#888" }}>
+              {sortMode === "curve" && "Sortieren nach"}
+              {sortMode === "curve" && Object.entries(SORT_METRICS).map(([id, metric]) => (
+                <button
+                  key={id}
+                  onClick={() => changeSortMetric(id)}
+                  style={{
+                    padding: "6px 12px", borderRadius: 8, border: "none",
+                    background: sortMetric === id ? "rgba(255,106,0,0.2)" : "rgba(255,255,255,0.05)",
+                    color: sortMetric === id ? "#ff8c42" : "#999", fontWeight: 600, fontSize: 12, cursor: "pointer",
+                    fontFamily: "'Outfit', sans-serif",
+                  }}
+                >
+                  {metric.label}
+                </button>
+              ))}
+              <label style={{ display: "flex", alignItems: "center", gap: 6, marginLeft: 8, cursor: "pointer" }}>
+                <input type="checkbox" checked={harmonic} onChange={toggleHarmonic} style={{ accentColor: "#ff6a00" }} />
+                Harmonisch mixen
+              </label>
+            </div>
+            <div style={{ display: "flex", gap: 8, marginBottom: 12, flexWrap: "wrap" }}>
+              {Object.entries(CURVE_TEMPLATES).map(([id, template]) => {
+                const active = isSorted && sortMode === "curve" && curveId === id;
+                return (
+                  <button
+                    key={id}
+                    onClick={() => applySorting({ curveId: id })}
+                    title={template.description}
+                    style={{
+                      display: "flex", alignItems: "center", gap: 8,
+                      padding: "8px 14px", borderRadius: 10,
+                      border: `1px solid ${active ? "rgba(255,106,0,0.6)" : "rgba(255,255,255,0.08)"}`,
+                      background: active ? "rgba(255,106,0,0.15)" : "rgba(255,255,255,0.03)",
+                      color: active ? "#fff" : "#bbb", fontWeight: 600, fontSize: 13, cursor: "pointer",
+                      fontFamily: "'Outfit', sans-serif",
+                    }}
+                  >
+                    <CurvePreview template={template} params={curveParams[id]} color={active ? "#ff8c42" : "#777"} />
+                    {template.label}
+                  </button>
+                );
+              })}
               <button
-                onClick={isSorted ? resetOrder : applySorting}
+                onClick={() => applySorting({ sortMode: "plan" })}
+                title="Kurs aus Segmenten mit Energy- und Kadenzbereich"
                 style={{
-                  padding: "10px 24px", borderRadius: 10, border: "none",
-                  background: isSorted ? "rgba(255,255,255,0.08)" : "linear-gradient(135deg, #ff6a00, #ff4e00)",
-                  color: isSorted ? "#ccc" : "#fff", fontWeight: 600, fontSize: 13, cursor: "pointer",
+                  padding: "8px 14px", borderRadius: 10,
+                  border: `1px solid ${sortMode === "plan" ? "rgba(255,106,0,0.6)" : "rgba(255,255,255,0.08)"}`,
+                  background: sortMode === "plan" ? "rgba(255,106,0,0.15)" : "rgba(255,255,255,0.03)",
+                  color: sortMode === "plan" ? "#fff" : "#bbb", fontWeight: 600, fontSize: 13, cursor: "pointer",
                   fontFamily: "'Outfit', sans-serif",
-                  boxShadow: isSorted ? "none" : "0 4px 20px rgba(255,106,0,0.3)",
                 }}
               >
-                {isSorted ? "↩ Reset" : "⚡ Pyramide sortieren"}
+                📋 Kursplan
               </button>
+            </div>
+            {sortMode === "plan" && (
+              <ClassPlanEditor
+                plan={classPlan}
+                savedPlans={savedPlans}
+                onChange={setClassPlan}
+                onApply={() => applySorting({ sortMode: "plan" })}
+                onSave={saveClassPlan}
+                onLoad={setClassPlan}
+                onDelete={deleteClassPlan}
+              />
+            )}
+            {sortMode === "curve" && CURVE_TEMPLATES[curveId].params && (
+              <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12, fontSize: 13, color: "#888" }}>
+                {CURVE_TEMPLATES[curveId].params.map((p) => (
+                  <label key={p.key} style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                    {p.label}
+                    <input
+                      type="number"
+                      min={0}
+                      value={curveParams[curveId][p.key]}
+                      onChange={(e) => updateCurveParam(curveId, p.key, Number(e.target.value))}
+                      style={{
+                        width: 56, padding: "6px 8px", borderRadius: 8,
+                        background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                        color: "#eee", fontSize: 13, outline: "none",
+                        fontFamily: "'JetBrains Mono', monospace",
+                      }}
+                    />
+                    {p.unit}
+                  </label>
+                ))}
+              </div>
+            )}
+            <div style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 12, fontSize: 13, color: "#888" }}>
+              {sortMode === "curve" && (
+                <>
+                  <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+                    Ziel-Dauer
+                    <input
+                      type="number"
+                      min={0}
+                      value={targetMin}
+                      placeholder="alle"
+                      onChange={(e) => setTargetMin(e.target.value)}
+                      style={{
+                        width: 56, padding: "6px 8px", borderRadius: 8,
+                        background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                        color: "#eee", fontSize: 13, outline: "none",
+                        fontFamily: "'JetBrains Mono', monospace",
+                      }}
+                    />
+                    min ±
+                  </label>
+                  <input
+                    type="number"
+                    min={0}
+                    value={toleranceMin}
+                    onChange={(e) => setToleranceMin(e.target.value)}
+                    style={{
+                      width: 48, padding: "6px 8px", borderRadius: 8,
+                      background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                      color: "#eee", fontSize: 13, outline: "none",
+                      fontFamily: "'JetBrains Mono', monospace",
+                    }}
+                  />
+                  min
+                </>
+              )}
+              <label
+                title="Überblendung zwischen den Tracks; zählt für Dauer, Startzeiten und Cue Sheet"
+                style={{ display: "flex", alignItems: "center", gap: 6, marginLeft: sortMode === "curve" ? 12 : 0 }}
+              >
+                Crossfade
+                <input
+                  type="number"
+                  min={0}
+                  max={MAX_CROSSFADE_MS / 1000}
+                  value={crossfadeSec}
+                  onChange={(e) => updateCrossfade(e.target.value)}
+                  style={{
+                    width: 48, padding: "6px 8px", borderRadius: 8,
+                    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                    color: "#eee", fontSize: 13, outline: "none",
+                    fontFamily: "'JetBrains Mono', monospace",
+                  }}
+                />
+                s
+              </label>
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 12, fontSize: 13, color: "#888", flexWrap: "wrap" }}>
+              {[
+                { label: "Gleicher Künstler", icon: ISSUE_ICONS.artist, tracks: "artistTracks", minutes: "artistMinutes" },
+                { label: "Gleiches Album", icon: ISSUE_ICONS.album, tracks: "albumTracks", minutes: "albumMinutes" },
+              ].map((rule, i) => (
+                <Fragment key={rule.tracks}>
+                  {i > 0 && <span style={{ margin: "0 6px", color: "#444" }}>·</span>}
+                  {rule.icon} {rule.label} frühestens nach
+                  {[[rule.tracks, "Tracks"], [rule.minutes, "min"]].map(([key, unit], j) => (
+                    <Fragment key={key}>
+                      {j > 0 && " / "}
+                      <input
+                        type="number"
+                        min={0}
+                        max={60}
+                        value={spacing[key]}
+                        onChange={(e) => updateSpacing(key, e.target.value)}
+                        onBlur={commitSpacing}
+                        onKeyDown={(e) => { if (e.key === "Enter") e.currentTarget.blur(); }}
+                        title="0 = keine Grenze"
+                        style={{
+                          width: 44, padding: "6px 8px", borderRadius: 8,
+                          background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                          color: "#eee", fontSize: 13, outline: "none",
+                          fontFamily: "'JetBrains Mono', monospace",
+                        }}
+                      />
+                      {unit}
+                    </Fragment>
+                  ))}
+                </Fragment>
+              ))}
+              {isSorted && spacingMisses > 0 && (
+                <span
+                  title="Der Pool lässt die Abstandsregel nicht überall zu; die betroffenen Tracks sind in der Liste markiert"
+                  style={{ marginLeft: 12, color: "#ff5252" }}
+                >
+                  ⚠ {spacingMisses} {spacingMisses === 1 ? "Track hält" : "Tracks halten"} den Abstand nicht ein
+                </span>
+              )}
+            </div>
+            <div style={{ display: "flex", gap: 10, marginBottom: 20, flexWrap: "wrap" }}>
               {isSorted && (
+                <button
+                  onClick={resetOrder}
+                  style={{
+                    padding: "10px 24px", borderRadius: 10, border: "none",
+                    background: "rgba(255,255,255,0.08)",
+                    color: "#ccc", fontWeight: 600, fontSize: 13, cursor: "pointer",
+                    fontFamily: "'Outfit', sans-serif",
+                  }}
+                >
+                  ↩ Reset
+                </button>
+              )}
+              {isSorted && isLoggedIn && (
+                <select
+                  value={saveMode}
+                  onChange={(e) => { setSaveMode(e.target.value); setSaveSuccess(false); }}
+                  style={{
+                    padding: "10px 12px", borderRadius: 10,
+                    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                    color: "#ddd", fontSize: 13, fontFamily: "'Outfit', sans-serif",
+                  }}
+                >
+                  {Object.entries(SAVE_MODES)
+                    .filter(([id]) => id !== "update" || findGeneratedPlaylistId())
+                    .filter(([id]) => id !== "inPlace" || !(selectedPlaylist?.merged || selectedPlaylist?.imported))
+                    .map(([id, mode]) => <option key={id} value={id}>{mode.label}</option>)}
+                </select>
+              )}
+              {isSorted && isLoggedIn && (
                 <button
                   onClick={saveToSpotify}
                   disabled={saving || saveSuccess}
@@ -649,36 +2841,203 @@ export default function App() {
                     opacity: saving ? 0.7 : 1,
                   }}
                 >
-                  {saveSuccess ? "✓ Gespeichert!" : saving ? "Speichern..." : "💾 Als neue Playlist speichern"}
+                  {saveSuccess ? "✓ Gespeichert!" : saving ? `Speichern... ${saveProgress}` : SAVE_MODES[saveMode].action}
+                </button>
+              )}
+              {sortedTracks.length > 0 && (
+                <select
+                  value=""
+                  onChange={(e) => e.target.value && exportTracks(e.target.value)}
+                  aria-label="Exportieren"
+                  style={{
+                    padding: "10px 12px", borderRadius: 10,
+                    background: "rgba(255,255,255,0.06)", border: "1px solid rgba(255,255,255,0.1)",
+                    color: "#ddd", fontSize: 13, fontFamily: "'Outfit', sans-serif",
+                  }}
+                >
+                  <option value="">⬇ Export…</option>
+                  {Object.entries(EXPORT_FORMATS).map(([id, format]) => <option key={id} value={id}>{format.label}</option>)}
+                </select>
+              )}
+              {sortedTracks.length > 0 && (
+                <button
+                  onClick={() => setView("cue")}
+                  style={{
+                    padding: "10px 16px", borderRadius: 10, border: "none",
+                    background: "rgba(255,255,255,0.08)",
+                    color: "#ccc", fontWeight: 600, fontSize: 13, cursor: "pointer",
+                    fontFamily: "'Outfit', sans-serif",
+                  }}
+                >
+                  🖨 Cue Sheet
+                </button>
+              )}
+              {sortedTracks.length > 0 && (
+                <button
+                  onClick={() => setView("ride")}
+                  title="Großbild-Ansicht mit Timer und Wiedergabe für den Kurs"
+                  style={{
+                    padding: "10px 16px", borderRadius: 10, border: "none",
+                    background: "rgba(255,255,255,0.08)",
+                    color: "#ccc", fontWeight: 600, fontSize: 13, cursor: "pointer",
+                    fontFamily: "'Outfit', sans-serif",
+                  }}
+                >
+                  🚴 Ride-Modus
                 </button>
               )}
+              <div style={{ display: "flex", gap: 6, marginLeft: "auto" }}>
+                {[
+                  { label: "↶", title: "Rückgängig (Strg+Z)", onClick: history.undo, enabled: history.canUndo },
+                  { label: "↷", title: "Wiederholen (Strg+Umschalt+Z)", onClick: history.redo, enabled: history.canRedo },
+                  { label: `Verlauf (${history.entries.length - 1})`, title: "Bearbeitungsverlauf", onClick: () => setShowHistory(!showHistory), enabled: true },
+                ].map((b) => (
+                  <button
+                    key={b.title}
+                    onClick={b.onClick}
+                    disabled={!b.enabled}
+                    title={b.title}
+                    style={{
+                      padding: "10px 14px", borderRadius: 10, border: "none",
+                      background: "rgba(255,255,255,0.06)",
+                      color: b.enabled ? "#ccc" : "#555", fontWeight: 600, fontSize: 13,
+                      cursor: b.enabled ? "pointer" : "default",
+                      fontFamily: "'Outfit', sans-serif",
+                    }}
+                  >
+                    {b.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {/* History Panel */}
+            {showHistory && (
+              <div style={{
+                background: "rgba(255,255,255,0.02)", borderRadius: 12, padding: 8,
+                border: "1px solid rgba(255,255,255,0.05)", marginBottom: 20,
+                maxHeight: 240, overflowY: "auto",
+              }}>
+                {history.entries.map((entry, i) => (
+                  <button
+                    key={`${entry.at}-${i}`}
+                    onClick={() => history.jump(i)}
+                    style={{
+                      display: "flex", width: "100%", gap: 12, padding: "6px 10px",
+                      background: i === history.index ? "rgba(255,106,0,0.15)" : "none",
+                      border: "none", borderRadius: 6, cursor: "pointer", textAlign: "left",
+                      color: i > history.index ? "#555" : "#ccc", fontSize: 13,
+                      fontFamily: "'Outfit', sans-serif",
+                    }}
+                  >
+                    <span style={{ color: "#666", width: 64, fontFamily: "'JetBrains Mono', monospace", fontSize: 12 }}>
+                      {new Date(entry.at).toLocaleTimeString("de-DE")}
+                    </span>
+                    <span style={{ flex: 1, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                      {entry.label}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {/* Screen reader announcements for moves */}
+            <div
+              role="status"
+              aria-live="assertive"
+              style={{ position: "absolute", width: 1, height: 1, overflow: "hidden", clip: "rect(0 0 0 0)", whiteSpace: "nowrap" }}
+            >
+              {announcement}
             </div>
 
             {/* Track List */}
-            <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+            <div
+              role="list"
+              aria-label="Tracks – Alt+Pfeiltasten zum Verschieben"
+              style={{ display: "flex", flexDirection: "column", gap: 4 }}
+            >
               {/* Header */}
-              <div style={{
+              <div aria-hidden="true" style={{
                 display: "flex", alignItems: "center", gap: 12, padding: "6px 16px",
                 fontSize: 11, color: "#555", textTransform: "uppercase", letterSpacing: 1,
               }}>
+                <span style={{ width: 14 }}></span>
                 <span style={{ width: 28 }}>#</span>
                 <span style={{ width: 40 }}></span>
                 <span style={{ flex: 1 }}>Track</span>
-                <span style={{ width: 100, textAlign: "right" }}>Energy</span>
+                <span style={{ width: 112, textAlign: "right" }}>Energy</span>
                 <span style={{ width: 40, textAlign: "right" }}>BPM</span>
+                <span style={{ width: 28, textAlign: "right" }} title="Eigene Intensität">Int</span>
+                <span style={{ width: 32, textAlign: "right" }}>Key</span>
+                <span style={{ width: 64, textAlign: "right" }}>Kadenz</span>
                 <span style={{ width: 44, textAlign: "right" }}>Zeit</span>
+                <span style={{ width: 64 }}>Pin</span>
+                <span style={{ width: 16 }}></span>
               </div>
               {sortedTracks.map((t, i) => (
-                <TrackRow
-                  key={`${t.id}-${i}`}
-                  track={t}
-                  index={i}
-                  onDragStart={handleDragStart}
-                  onDragOver={handleDragOver}
-                  onDrop={handleDrop}
-                />
+                <Fragment key={`${t.id}-${i}`}>
+                  {segmentStarts.has(i) && (
+                    <SegmentHeader
+                      segment={classPlan.segments[segmentStarts.get(i)]}
+                      tracks={sortedTracks.filter((_, j) => trackSegments[j] === segmentStarts.get(i))}
+                      crossfadeMs={crossfadeMs}
+                    />
+                  )}
+                  <TrackRow
+                    track={t}
+                    index={i}
+                    total={sortedTracks.length}
+                    startMs={startOffsets[i]}
+                    pin={pins[t.id]}
+                    showSources={!!selectedPlaylist?.merged}
+                    onPin={updatePin}
+                    onMove={moveTrack}
+                    pointer={pointerReorder}
+                    onDragStart={handleDragStart}
+                    onDragOver={handleDragOver}
+                    onDrop={handleDrop}
+                    onRemove={removeTrack}
+                    onOverride={updateOverride}
+                    highlighted={hoverIndex === i}
+                    issues={issuesByIndex.get(i)}
+                    onHover={setHoverIndex}
+                  />
+                </Fragment>
               ))}
             </div>
+
+            {/* Unused Tracks */}
+            {unusedTracks.length > 0 && (
+              <div style={{ marginTop: 28 }}>
+                <div style={{ fontSize: 11, color: "#666", textTransform: "uppercase", letterSpacing: 1, marginBottom: 8, padding: "0 16px" }}>
+                  Nicht verwendet ({unusedTracks.length})
+                </div>
+                <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                  {unusedTracks.map((t, i) => (
+                    <UnusedTrackRow key={`${t.id}-${i}`} track={t} onRestore={() => restoreTrack(i)} />
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Filtered-out Tracks */}
+            {excludedTracks.length > 0 && (
+              <div style={{ marginTop: 28 }}>
+                <div style={{ fontSize: 11, color: "#666", textTransform: "uppercase", letterSpacing: 1, marginBottom: 8, padding: "0 16px" }}>
+                  Ausgeschlossen ({excludedTracks.length})
+                </div>
+                <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+                  {excludedTracks.map((e, i) => (
+                    <UnusedTrackRow
+                      key={`${e.track.id}-${i}`}
+                      track={e.track}
+                      reason={EXCLUSION_REASONS[e.reason]}
+                      onRestore={() => restoreExcluded(i)}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -0,0 +1,42 @@
+// Small deterministic track pools for the core tests.
+
+export function makeTrack(id, fields = {}) {
+  return {
+    id,
+    uri: `spotify:track:${id}`,
+    name: `Track ${id}`,
+    artist: `Artist ${id}`,
+    isrc: null,
+    sources: [],
+    albumArt: null,
+    energy: 0.5,
+    energySource: "measured",
+    energyConfidence: 1,
+    bpm: 120,
+    danceability: null,
+    valence: null,
+    key: null,
+    mode: null,
+    duration_ms: 240000,
+    popularity: null,
+    explicit: false,
+    genres: [],
+    hasAudioFeatures: true,
+    ...fields,
+  };
+}
+
+// Seeded so every run sorts the same pool
+export function makePool(count, seed = 7) {
+  let state = seed;
+  const random = () => (state = (state * 16807) % 2147483647) / 2147483647;
+  return Array.from({ length: count }, (_, i) => makeTrack(`t${i}`, {
+    energy: Math.round(random() * 100) / 100,
+    bpm: Math.round(70 + random() * 110),
+    key: Math.floor(random() * 12),
+    mode: random() > 0.5 ? 1 : 0,
+    duration_ms: Math.round(150000 + random() * 150000),
+  }));
+}
+
+export const totalMs = (tracks) => tracks.reduce((s, t) => s + t.duration_ms, 0);
@@ -0,0 +1,78 @@
+import { CURVE_TEMPLATES } from "./curves.js";
+import { fillSegments } from "./plans.js";
+import { SORT_METRICS, curveSort, selectForDuration } from "./sort.js";
+import { spacingConflicts } from "./spacing.js";
+
+// ── Arranging a Class ──
+// One entry point for every sort strategy, so the app and the CLI turn the
+// same settings into the same class: a curve over all tracks, a curve that
+// picks tracks for a target length, or a class plan filled segment by segment.
+// Every strategy honours the spacing rule as far as the pool allows; what is
+// left over comes back as conflicts.
+
+/**
+ * @typedef {object} ArrangeSettings
+ * @property {"curve" | "plan"} [mode]
+ * @property {string} [curveId] a CURVE_TEMPLATES key
+ * @property {Record<string, number>} [params] template params, defaults when missing
+ * @property {string} [metricId] a SORT_METRICS key
+ * @property {boolean} [harmonic]
+ * @property {Record<string, import("./sort.js").Pin>} [pins] keyed by track ID
+ * @property {number} [targetMs] class length for curves; 0 keeps every track
+ * @property {number} [toleranceMs]
+ * @property {number} [crossfadeMs] overlap between tracks, see timing.js
+ * @property {import("./spacing.js").SpacingRule} [spacing] keep artists and albums apart
+ * @property {{ name: string, segments: import("./plans.js").Segment[] }} [plan] required in plan mode
+ */
+
+/**
+ * Sorts a pool into a class.
+ * @param {object[]} tracks the pool
+ * @param {ArrangeSettings} settings
+ * @returns {{ selected: object[], unused: object[], label: string,
+ *   conflicts: import("./spacing.js").SpacingConflict[] }} `label` names the
+ *   strategy, e.g. "Pyramide · 45 min"; `conflicts` are the repeats the
+ *   spacing rule could not clear
+ * @throws {Error} for an unknown curve or metric, or plan mode without a plan
+ */
+export function arrangeClass(tracks, {
+  mode = "curve", curveId = "pyramid", params, metricId = "energy", harmonic = false, pins = {},
+  targetMs = 0, toleranceMs = 0, plan, crossfadeMs = 0, spacing = null,
+} = {}) {
+  const withConflicts = (result) => ({ ...result, conflicts: spacingConflicts(result.selected, spacing, crossfadeMs) });
+  if (mode === "plan") {
+    if (!plan?.segments?.length) throw new Error("Kursplan ohne Segmente");
+    return withConflicts({ ...fillSegments(tracks, plan.segments, { harmonic, pins, crossfadeMs, spacing }), label: plan.name });
+  }
+  const template = CURVE_TEMPLATES[curveId];
+  if (!template) throw new Error(`Unbekannte Kurve: ${curveId}`);
+  const metric = SORT_METRICS[metricId];
+  if (!metric) throw new Error(`Unbekannte Sortierung: ${metricId}`);
+  const options = { ...(params && { params }), metric, harmonic, pins, crossfadeMs, spacing };
+  if (targetMs > 0) {
+    const { selected, unused } = selectForDuration(tracks, template, { ...options, targetMs, toleranceMs });
+    return withConflicts({ selected, unused, label: `${template.label} · ${Math.round(targetMs / 6000) / 10} min` });
+  }
+  return withConflicts({ selected: curveSort(tracks, template, options), unused: [], label: template.label });
+}
+
+/**
+ * Name of the playlist a sorted class is saved as.
+ * @param {string} sourceName
+ * @param {string} sortLabel curve label or plan name
+ * @returns {string}
+ */
+export function generatedPlaylistName(sourceName, sortLabel) {
+  return `🚴 ${sourceName} (${sortLabel})`;
+}
+
+/**
+ * @param {"curve" | "plan"} mode
+ * @param {string} sortLabel curve label or plan name
+ * @returns {string}
+ */
+export function generatedPlaylistDescription(mode, sortLabel) {
+  return mode === "plan"
+    ? `Kursplan "${sortLabel}" für Indoor Cycling. Generated by Cycling Playlist Sorter.`
+    : `Energy-Kurve "${sortLabel}" sortiert für Indoor Cycling. Generated by Cycling Playlist Sorter.`;
+}
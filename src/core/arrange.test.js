@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { arrangeClass, generatedPlaylistName } from "./arrange.js";
+import { CURVE_TEMPLATES } from "./curves.js";
+import { DEFAULT_CLASS_PLAN, fillSegments } from "./plans.js";
+import { curveSort, selectForDuration } from "./sort.js";
+import { makePool } from "./__fixtures__/tracks.js";
+
+const pool = makePool(30);
+
+describe("arrangeClass", () => {
+  it("sorts every track along a curve by default", () => {
+    const { selected, unused, label } = arrangeClass(pool);
+    expect(selected).toEqual(curveSort(pool, CURVE_TEMPLATES.pyramid));
+    expect(unused).toEqual([]);
+    expect(label).toBe("Pyramide");
+  });
+
+  it("reports the repeats the spacing rule could not clear", () => {
+    const sameArtist = pool.slice(0, 4).map((t) => ({ ...t, artist: "Same" }));
+    const spacing = { artistTracks: 2, artistMinutes: 0, albumTracks: 0, albumMinutes: 0 };
+    expect(arrangeClass(pool, { spacing }).conflicts).toEqual([]);
+    expect(arrangeClass(sameArtist, { spacing }).conflicts).toHaveLength(3);
+  });
+
+  it("picks tracks for a target length", () => {
+    const settings = { curveId: "climb", metricId: "cadence", targetMs: 45 * 60000, toleranceMs: 120000 };
+    const result = arrangeClass(pool, settings);
+    expect(result.label).toBe("Anstieg · 45 min");
+    expect(result.selected.length + result.unused.length).toBe(pool.length);
+  });
+
+  it("fills a class plan", () => {
+    const { selected, label } = arrangeClass(pool, { mode: "plan", plan: DEFAULT_CLASS_PLAN, harmonic: true });
+    expect(selected).toEqual(fillSegments(pool, DEFAULT_CLASS_PLAN.segments, { harmonic: true }).selected);
+    expect(label).toBe(DEFAULT_CLASS_PLAN.name);
+  });
+
+  it("passes params and pins to the sorter", () => {
+    const template = CURVE_TEMPLATES.peakWindow;
+    const options = { params: { peakFrom: 5, peakTo: 10 }, pins: { [pool[3].id]: { at: "start" } } };
+    const { selected } = arrangeClass(pool, { curveId: "peakWindow", ...options, targetMs: 30 * 60000 });
+    expect(selected).toEqual(selectForDuration(pool, template, { ...options, targetMs: 30 * 60000, toleranceMs: 0 }).selected);
+    expect(selected[0]).toBe(pool[3]);
+  });
+
+  it("rejects unknown strategies", () => {
+    expect(() => arrangeClass(pool, { curveId: "zigzag" })).toThrow("zigzag");
+    expect(() => arrangeClass(pool, { metricId: "loudness" })).toThrow("loudness");
+    expect(() => arrangeClass(pool, { mode: "plan" })).toThrow("Kursplan");
+  });
+});
+
+describe("generatedPlaylistName", () => {
+  it("names the sorted copy after its source and sort", () => {
+    expect(generatedPlaylistName("Montag", "Pyramide")).toBe("🚴 Montag (Pyramide)");
+  });
+});
@@ -0,0 +1,36 @@
+// ── Cadence ──
+// Riders pedal to the beat, so cadence is the tempo folded into the range they
+// can actually spin: half-time and double-time readings are doubled or halved
+// until they land between CADENCE_MIN and CADENCE_MAX (one octave, so every
+// tempo has exactly one cadence).
+export const CADENCE_MIN = 60;
+export const CADENCE_MAX = 120;
+export const CADENCE_ZONES = [
+  { id: "climb", label: "Climb", min: 60, max: 80, hue: 200 },
+  { id: "flat", label: "Flach", min: 80, max: 90, hue: 140 },
+  { id: "sprint", label: "Sprint", min: 90, max: 110, hue: 30 },
+  { id: "spin", label: "Spin", min: 110, max: 120, hue: 0 },
+];
+
+/**
+ * Pedalling cadence in rpm for a tempo.
+ * @param {number | null} bpm
+ * @returns {number | null} null when the tempo is unknown
+ */
+export function cadenceFromBpm(bpm) {
+  if (!bpm) return null;
+  let cadence = bpm;
+  while (cadence >= CADENCE_MAX) cadence /= 2;
+  while (cadence < CADENCE_MIN) cadence *= 2;
+  return Math.round(cadence);
+}
+
+/**
+ * The zone a cadence falls into.
+ * @param {number | null} cadence
+ * @returns {typeof CADENCE_ZONES[number] | null}
+ */
+export function cadenceZone(cadence) {
+  if (cadence == null) return null;
+  return CADENCE_ZONES.find((z) => cadence >= z.min && cadence < z.max) || CADENCE_ZONES[CADENCE_ZONES.length - 1];
+}
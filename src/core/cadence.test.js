@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { cadenceFromBpm, cadenceZone } from "./cadence.js";
+
+describe("cadenceFromBpm", () => {
+  it("folds half-time and double-time tempos into one octave", () => {
+    expect(cadenceFromBpm(90)).toBe(90);
+    expect(cadenceFromBpm(180)).toBe(90);
+    expect(cadenceFromBpm(45)).toBe(90);
+    expect(cadenceFromBpm(120)).toBe(60);
+  });
+
+  it("is null for an unknown tempo", () => {
+    expect(cadenceFromBpm(null)).toBeNull();
+    expect(cadenceFromBpm(0)).toBeNull();
+  });
+});
+
+describe("cadenceZone", () => {
+  it("finds the zone a cadence falls into", () => {
+    expect(cadenceZone(65).id).toBe("climb");
+    expect(cadenceZone(85).id).toBe("flat");
+    expect(cadenceZone(100).id).toBe("sprint");
+    expect(cadenceZone(119).id).toBe("spin");
+    expect(cadenceZone(null)).toBeNull();
+  });
+});
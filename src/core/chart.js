@@ -0,0 +1,132 @@
+import { CADENCE_MAX, CADENCE_MIN, cadenceFromBpm } from "./cadence.js";
+import { rangeDistance, segmentAt, segmentBounds } from "./plans.js";
+import { classTimeline, trimmedMs } from "./timing.js";
+
+// ── Class Chart ──
+// What the class chart shows, without the drawing: every track as a span of
+// class time with its values, the target it was sorted toward at its midpoint
+// and how far it misses it. Targets come from the plan segments, or from the
+// curve (see ride.js curveTarget) for the series the class was sorted by.
+// Without durations on every track, tracks get equal width and no target.
+
+/**
+ * Series by ID, with the axis range and how far off target still counts as
+ * on target.
+ * @type {Record<string, { label: string, unit: string, min: number, max: number,
+ *   tolerance: number, valueOf: (track: object) => number | null }>}
+ */
+export const CHART_SERIES = {
+  energy: { label: "Energy", unit: "", min: 0, max: 1, tolerance: 0.1, valueOf: (t) => t.energy ?? null },
+  cadence: { label: "Kadenz", unit: "rpm", min: CADENCE_MIN, max: CADENCE_MAX, tolerance: 5, valueOf: (t) => cadenceFromBpm(t.bpm) },
+};
+
+/**
+ * @typedef {object} ChartTargetOptions
+ * @property {import("./plans.js").Segment[]} [segments] the class plan, if any
+ * @property {(elapsedMs: number) => number | null} [target] curve target without a plan
+ * @property {string} [targetMetric] the CHART_SERIES the curve target measures
+ */
+
+/**
+ * Target range of every series at a class time.
+ * @param {number} ms
+ * @param {ChartTargetOptions} [options]
+ * @returns {Record<string, { min: number | null, max: number | null } | null>}
+ *   null for series without a target
+ */
+export function chartTargetAt(ms, { segments = [], target, targetMetric = "energy" } = {}) {
+  const targets = Object.fromEntries(Object.keys(CHART_SERIES).map((id) => [id, null]));
+  if (segments.length) {
+    const segment = segments[segmentAt(segments, ms)];
+    const range = (min, max) => (min == null && max == null ? null : { min, max });
+    if (segment) {
+      targets.energy = range(segment.energyMin, segment.energyMax);
+      targets.cadence = range(segment.cadenceMin, segment.cadenceMax);
+    }
+    return targets;
+  }
+  const value = target ? target(ms) : null;
+  if (value != null && targetMetric in targets) targets[targetMetric] = { min: value, max: value };
+  return targets;
+}
+
+/**
+ * @typedef {object} ChartBar
+ * @property {object} track
+ * @property {number} startMs
+ * @property {number} endMs where the next track fades in; the last plays out
+ * @property {Record<string, number | null>} values by series
+ * @property {Record<string, { min: number | null, max: number | null } | null>} targets
+ *   by series, at the midpoint of the bar
+ * @property {Record<string, number | null>} deviations distance outside the
+ *   target by series, null without a value or target
+ * @property {boolean} offTarget whether any deviation exceeds its series tolerance
+ */
+
+/**
+ * @param {object[]} tracks in class order
+ * @param {ChartTargetOptions & { crossfadeMs?: number }} [options]
+ * @returns {{ bars: ChartBar[], totalMs: number, timed: boolean }} without
+ *   `timed`, spans count tracks instead of ms
+ */
+export function classChart(tracks, { crossfadeMs = 0, ...targetOptions } = {}) {
+  const timed = tracks.length > 0 && tracks.every((t) => trimmedMs(t) > 0);
+  const { startOffsets, totalMs } = timed
+    ? classTimeline(tracks, crossfadeMs)
+    : { startOffsets: tracks.map((_, i) => i), totalMs: tracks.length };
+  const bars = tracks.map((track, i) => {
+    const startMs = startOffsets[i];
+    const endMs = i + 1 < tracks.length ? startOffsets[i + 1] : totalMs;
+    const targets = chartTargetAt((startMs + endMs) / 2, timed ? targetOptions : {});
+    const values = {};
+    const deviations = {};
+    let offTarget = false;
+    for (const [id, series] of Object.entries(CHART_SERIES)) {
+      values[id] = series.valueOf(track);
+      deviations[id] = targets[id] ? rangeDistance(values[id], targets[id].min, targets[id].max) : null;
+      if (deviations[id] > series.tolerance) offTarget = true;
+    }
+    return { track, startMs, endMs, values, targets, deviations, offTarget };
+  });
+  return { bars, totalMs, timed };
+}
+
+/**
+ * Target spans to draw over a chart: the plan segments, or the curve sampled
+ * into `samples` equal steps.
+ * @param {{ totalMs: number, timed: boolean }} chart
+ * @param {ChartTargetOptions} options
+ * @param {number} [samples]
+ * @returns {Record<string, { startMs: number, endMs: number, min: number | null, max: number | null }[]>}
+ *   by series, empty for series without a target
+ */
+export function chartTargetSpans(chart, options, samples = 60) {
+  const spans = Object.fromEntries(Object.keys(CHART_SERIES).map((id) => [id, []]));
+  if (!chart.timed) return spans;
+  const steps = options.segments?.length
+    ? segmentBounds(options.segments).map((b) => ({ startMs: b.start, endMs: Math.min(b.end, chart.totalMs) }))
+      .filter((s) => s.startMs < s.endMs)
+    : Array.from({ length: samples }, (_, i) => ({
+      startMs: (chart.totalMs * i) / samples,
+      endMs: (chart.totalMs * (i + 1)) / samples,
+    }));
+  for (const step of steps) {
+    const targets = chartTargetAt((step.startMs + step.endMs) / 2, options);
+    for (const [id, range] of Object.entries(targets)) {
+      if (range) spans[id].push({ ...step, ...range });
+    }
+  }
+  return spans;
+}
+
+/**
+ * Index of the bar at a chart position, clamped to the first and last bar.
+ * @param {ChartBar[]} bars
+ * @param {number} ms
+ * @returns {number} -1 without bars
+ */
+export function chartIndexAt(bars, ms) {
+  if (!bars.length) return -1;
+  const index = bars.findIndex((b) => ms < b.endMs);
+  return index === -1 ? bars.length - 1 : index;
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { chartIndexAt, chartTargetAt, chartTargetSpans, classChart } from "./chart.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const minute = 60000;
+const tracks = [
+  makeTrack("a", { duration_ms: 2 * minute, energy: 0.3, bpm: 90 }),
+  makeTrack("b", { duration_ms: 4 * minute, energy: 0.5, bpm: 170 }),
+  makeTrack("c", { duration_ms: 2 * minute, energy: 0.9, bpm: 120 }),
+];
+const segments = [
+  { label: "Warm-up", minutes: 4, energyMin: 0.2, energyMax: 0.4, cadenceMin: null, cadenceMax: null, note: "" },
+  { label: "Climb", minutes: 4, energyMin: 0.8, energyMax: 1, cadenceMin: 60, cadenceMax: 75, note: "" },
+];
+
+describe("classChart", () => {
+  it("spans tracks over class time with their values", () => {
+    const { bars, totalMs, timed } = classChart(tracks, { crossfadeMs: 10000 });
+    expect(timed).toBe(true);
+    expect(totalMs).toBe(7 * minute + 40000);
+    expect(bars.map((b) => [b.startMs, b.endMs])).toEqual([
+      [0, 110000], [110000, 340000], [340000, 460000],
+    ]);
+    expect(bars[1].values).toEqual({ energy: 0.5, cadence: 85 });
+  });
+
+  it("measures every track against the plan segment at its midpoint", () => {
+    const { bars } = classChart(tracks, { segments });
+    expect(bars[0]).toMatchObject({ deviations: { energy: 0, cadence: null }, offTarget: false });
+    expect(bars[1].targets.energy).toEqual({ min: 0.8, max: 1 });
+    expect(bars[1].deviations.energy).toBeCloseTo(0.3);
+    expect(bars[1].deviations.cadence).toBe(10);
+    expect(bars[1].offTarget).toBe(true);
+  });
+
+  it("takes a curve target for the series it measures", () => {
+    const { bars } = classChart(tracks, { target: () => 0.5, targetMetric: "energy" });
+    expect(bars.map((b) => b.offTarget)).toEqual([true, false, true]);
+    expect(bars[0].targets.cadence).toBeNull();
+  });
+
+  it("gives tracks equal width and no target without durations", () => {
+    const chart = classChart([tracks[0], makeTrack("x", { duration_ms: null })], { segments });
+    expect(chart).toMatchObject({ timed: false, totalMs: 2 });
+    expect(chart.bars[1]).toMatchObject({ startMs: 1, endMs: 2, offTarget: false });
+    expect(chartTargetSpans(chart, { segments }).energy).toEqual([]);
+  });
+});
+
+describe("chartTargetAt", () => {
+  it("leaves series without a range untargeted", () => {
+    expect(chartTargetAt(minute, { segments })).toEqual({ energy: { min: 0.2, max: 0.4 }, cadence: null });
+    expect(chartTargetAt(20 * minute, { segments })).toEqual({ energy: null, cadence: null });
+  });
+});
+
+describe("chartTargetSpans", () => {
+  it("draws plan segments as they are planned, cut at the class end", () => {
+    const chart = classChart(tracks.slice(0, 2), { segments });
+    expect(chartTargetSpans(chart, { segments })).toEqual({
+      energy: [{ startMs: 0, endMs: 4 * minute, min: 0.2, max: 0.4 }, { startMs: 4 * minute, endMs: 6 * minute, min: 0.8, max: 1 }],
+      cadence: [{ startMs: 4 * minute, endMs: 6 * minute, min: 60, max: 75 }],
+    });
+  });
+
+  it("samples a curve target", () => {
+    const chart = classChart(tracks);
+    const spans = chartTargetSpans(chart, { target: (ms) => ms / chart.totalMs, targetMetric: "cadence" }, 4);
+    expect(spans.energy).toEqual([]);
+    expect(spans.cadence.map((s) => s.min)).toEqual([0.125, 0.375, 0.625, 0.875]);
+  });
+});
+
+describe("chartIndexAt", () => {
+  it("finds the bar at a position, clamped to the ends", () => {
+    const { bars } = classChart(tracks);
+    expect(chartIndexAt(bars, 3 * minute)).toBe(1);
+    expect(chartIndexAt(bars, 20 * minute)).toBe(2);
+    expect(chartIndexAt([], 0)).toBe(-1);
+  });
+});
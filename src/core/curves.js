@@ -0,0 +1,82 @@
+// ── Energy Curve Templates ──
+// Each template maps class progress (0 = start, 1 = end of class time) to a
+// relative target energy between 0 (lowest track in the pool) and 1 (highest).
+// The second argument carries the class length in minutes and the template's
+// params, for curves that are anchored to absolute minutes.
+
+/**
+ * @typedef {object} CurveParam
+ * @property {string} key
+ * @property {string} label
+ * @property {string} unit
+ * @property {number} default
+ */
+
+/**
+ * @typedef {object} CurveTemplate
+ * @property {string} label
+ * @property {string} description
+ * @property {CurveParam[]} [params]
+ * @property {(x: number, ctx: { totalMin: number, params: object }) => number} target
+ */
+
+/** @type {Record<string, CurveTemplate>} */
+export const CURVE_TEMPLATES = {
+  pyramid: {
+    label: "Pyramide",
+    description: "Warm-up → Peak → Cool-down",
+    target: (x) => 1 - Math.abs(2 * x - 1),
+  },
+  intervals: {
+    label: "Intervalle",
+    description: "Vier Belastungsspitzen mit Erholung dazwischen",
+    target: (x) => {
+      const envelope = Math.min(1, x / 0.15, (1 - x) / 0.1);
+      const wave = 0.5 - 0.5 * Math.cos(2 * Math.PI * 4 * (x - 0.15) / 0.75);
+      return Math.max(0, envelope) * (0.4 + 0.6 * wave);
+    },
+  },
+  climb: {
+    label: "Anstieg",
+    description: "Gleichmäßig steigende Intensität bis zum Schluss",
+    target: (x) => x,
+  },
+  doublePeak: {
+    label: "Doppel-Peak",
+    description: "Zwei Spitzen mit Erholungsphase in der Mitte",
+    target: (x) => 0.15 + 0.85 * Math.max(
+      Math.exp(-(((x - 0.3) / 0.12) ** 2)),
+      Math.exp(-(((x - 0.7) / 0.12) ** 2)),
+    ),
+  },
+  hill: {
+    label: "Hügel",
+    description: "Anstieg, langes Plateau, Abfahrt",
+    target: (x) => Math.min(1, x / 0.25, (1 - x) / 0.2),
+  },
+  peakWindow: {
+    label: "Peak-Fenster",
+    description: "Höchste Intensität in einem festen Minutenfenster",
+    params: [
+      { key: "peakFrom", label: "Peak ab", unit: "min", default: 25 },
+      { key: "peakTo", label: "bis", unit: "min", default: 35 },
+    ],
+    target: (x, { totalMin, params }) => {
+      const minute = x * totalMin;
+      const from = Math.min(params.peakFrom, params.peakTo);
+      const to = Math.max(params.peakFrom, params.peakTo);
+      if (minute >= from && minute <= to) return 1;
+      if (minute < from) return 0.9 * (minute / from);
+      return 0.9 * Math.max(0, totalMin - minute) / Math.max(1, totalMin - to);
+    },
+  },
+};
+
+/**
+ * Default values of a template's params, keyed by param key.
+ * @param {CurveTemplate} template
+ * @returns {Record<string, number>}
+ */
+export function defaultCurveParams(template) {
+  return Object.fromEntries((template.params || []).map((p) => [p.key, p.default]));
+}
@@ -0,0 +1,132 @@
+import { cadenceFromBpm } from "./cadence.js";
+import { camelotCode, formatCamelot } from "./harmonic.js";
+import { segmentAt } from "./plans.js";
+import { classTimeline, slotMs, trimmedMs } from "./timing.js";
+
+// ── Export ──
+// Every format is built from the same cue sheet rows, so start offsets and
+// segment notes match the track list exactly. Notes sit on the first track
+// of their segment.
+/**
+ * @param {number} ms
+ * @returns {string} "m:ss"
+ */
+export function formatClock(ms) {
+  return `${Math.floor(ms / 60000)}:${String(Math.floor((ms % 60000) / 1000)).padStart(2, "0")}`;
+}
+
+/**
+ * @typedef {object} CueRow
+ * @property {number} position 1-based
+ * @property {number} startMs offset from the start of class
+ * @property {number} playedMs length between the trim points
+ * @property {import("./tracks.js").Track} track
+ * @property {number | null} cadence
+ * @property {import("./plans.js").Segment | null} segment
+ * @property {boolean} segmentStart whether the segment begins with this track
+ */
+
+/**
+ * @param {import("./tracks.js").Track[]} tracks in class order
+ * @param {import("./plans.js").Segment[]} [segments] the class plan, if any
+ * @param {number} [crossfadeMs]
+ * @returns {CueRow[]}
+ */
+export function cueSheetRows(tracks, segments = [], crossfadeMs = 0) {
+  const { startOffsets } = classTimeline(tracks, crossfadeMs);
+  let previous = -1;
+  return tracks.map((track, i) => {
+    const startMs = startOffsets[i];
+    const index = segments.length ? segmentAt(segments, startMs + slotMs(track, crossfadeMs) / 2) : -1;
+    const row = {
+      position: i + 1,
+      startMs,
+      playedMs: trimmedMs(track),
+      track,
+      cadence: cadenceFromBpm(track.bpm),
+      segment: segments[index] || null,
+      segmentStart: index !== -1 && index !== previous,
+    };
+    previous = index;
+    return row;
+  });
+}
+
+function csvField(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(text) {
+  return String(text ?? "").replace(/[<>&'"]/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" })[c]);
+}
+
+const spotifyTrackUrl = (track) => `https://open.spotify.com/track/${track.id}`;
+
+/**
+ * File formats by ID. `build` turns cue rows plus `{ name, sort, plan }`
+ * metadata into the file contents.
+ * @type {Record<string, { label: string, extension: string, type: string,
+ *   build: (rows: CueRow[], meta: object) => string }>}
+ */
+export const EXPORT_FORMATS = {
+  csv: {
+    label: "CSV",
+    extension: "csv",
+    type: "text/csv;charset=utf-8",
+    // Leading BOM so spreadsheet apps pick up UTF-8
+    build: (rows) => "\uFEFF" + [
+      ["Nr", "Start", "Titel", "Künstler", "Album", "Dauer", "Ein", "Aus", "Energy", "BPM", "Kadenz", "Key", "Segment", "Notiz", "URI"],
+      ...rows.map(({ position, startMs, track, cadence, segment, segmentStart }) => [
+        position, formatClock(startMs), track.name, track.artist, track.album,
+        track.duration_ms ? formatClock(track.duration_ms) : "",
+        track.trimStartMs ? formatClock(track.trimStartMs) : "", track.trimEndMs ? formatClock(track.trimEndMs) : "", track.energy?.toFixed(2), track.bpm, cadence,
+        formatCamelot(camelotCode(track)), segment?.label, segmentStart ? segment.note : "", track.uri,
+      ]),
+    ].map((cells) => cells.map(csvField).join(",")).join("\r\n"),
+  },
+  json: {
+    label: "JSON",
+    extension: "json",
+    type: "application/json",
+    build: (rows, meta) => JSON.stringify({
+      ...meta,
+      exportedAt: new Date().toISOString(),
+      tracks: rows.map(({ position, startMs, track, segment }) => ({
+        ...track, position, startMs, segment: segment?.label ?? null,
+      })),
+    }, null, 2),
+  },
+  m3u: {
+    label: "M3U",
+    extension: "m3u",
+    type: "audio/x-mpegurl",
+    build: (rows, meta) => ["#EXTM3U", `#PLAYLIST:${meta.name}`, ...rows.flatMap(({ track }) => [
+      `#EXTINF:${Math.round((track.duration_ms || 0) / 1000) || -1},${track.artist} - ${track.name}`,
+      spotifyTrackUrl(track),
+    ])].join("\n") + "\n",
+  },
+  xspf: {
+    label: "XSPF",
+    extension: "xspf",
+    type: "application/xspf+xml",
+    build: (rows, meta) => [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+      `  <title>${xmlEscape(meta.name)}</title>`,
+      "  <trackList>",
+      ...rows.map(({ track, segment, segmentStart }) => [
+        "    <track>",
+        `      <location>${xmlEscape(spotifyTrackUrl(track))}</location>`,
+        track.uri && `      <identifier>${xmlEscape(track.uri)}</identifier>`,
+        `      <title>${xmlEscape(track.name)}</title>`,
+        `      <creator>${xmlEscape(track.artist)}</creator>`,
+        track.duration_ms && `      <duration>${track.duration_ms}</duration>`,
+        segmentStart && segment.note && `      <annotation>${xmlEscape(`${segment.label}: ${segment.note}`)}</annotation>`,
+        "    </track>",
+      ].filter(Boolean).join("\n")),
+      "  </trackList>",
+      "</playlist>",
+    ].join("\n") + "\n",
+  },
+};
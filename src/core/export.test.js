@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { EXPORT_FORMATS, cueSheetRows, formatClock } from "./export.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const tracks = [
+  makeTrack("a", { name: "One", artist: "A & B", bpm: 170, duration_ms: 200000 }),
+  makeTrack("b", { name: 'Say "Hi", all', artist: "C", bpm: 128, duration_ms: 245000 }),
+];
+const segments = [
+  { label: "Warm-up", minutes: 3, note: "easy, go" },
+  { label: "Peak", minutes: 5, note: "" },
+];
+
+describe("formatClock", () => {
+  it("formats minutes and zero-padded seconds", () => {
+    expect(formatClock(0)).toBe("0:00");
+    expect(formatClock(245000)).toBe("4:05");
+  });
+});
+
+describe("cueSheetRows", () => {
+  it("adds start offsets, cadence and the segment of every track", () => {
+    const rows = cueSheetRows(tracks, segments);
+    expect(rows.map((r) => [r.position, r.startMs, r.cadence, r.segment.label, r.segmentStart])).toEqual([
+      [1, 0, 85, "Warm-up", true],
+      [2, 200000, 64, "Peak", true],
+    ]);
+  });
+
+  it("starts tracks on the trimmed, crossfaded timeline", () => {
+    const trimmed = [{ ...tracks[0], trimStartMs: 20000, trimEndMs: 170000 }, tracks[1]];
+    const rows = cueSheetRows(trimmed, segments, 10000);
+    expect(rows.map((r) => [r.startMs, r.playedMs, r.segment.label])).toEqual([
+      [0, 150000, "Warm-up"],
+      [140000, 245000, "Peak"],
+    ]);
+  });
+
+  it("has no segments without a plan", () => {
+    expect(cueSheetRows(tracks).every((r) => r.segment === null && !r.segmentStart)).toBe(true);
+  });
+});
+
+describe("EXPORT_FORMATS", () => {
+  const rows = cueSheetRows(tracks, segments);
+
+  it("quotes CSV fields and notes the segment on its first track", () => {
+    const lines = EXPORT_FORMATS.csv.build(rows).replace(/^\uFEFF/, "").split("\r\n");
+    expect(lines[0]).toBe("Nr,Start,Titel,Künstler,Album,Dauer,Ein,Aus,Energy,BPM,Kadenz,Key,Segment,Notiz,URI");
+    expect(lines[1]).toBe('1,0:00,One,A & B,,3:20,,,0.50,170,85,—,Warm-up,"easy, go",spotify:track:a');
+    expect(lines[2]).toBe('2,3:20,"Say ""Hi"", all",C,,4:05,,,0.50,128,64,—,Peak,,spotify:track:b');
+  });
+
+  it("writes extended M3U entries", () => {
+    expect(EXPORT_FORMATS.m3u.build(rows, { name: "Class" }).split("\n").slice(0, 4)).toEqual([
+      "#EXTM3U",
+      "#PLAYLIST:Class",
+      "#EXTINF:200,A & B - One",
+      "https://open.spotify.com/track/a",
+    ]);
+  });
+
+  it("escapes XSPF text", () => {
+    const xspf = EXPORT_FORMATS.xspf.build(rows, { name: "<Class>" });
+    expect(xspf).toContain("<title>&lt;Class&gt;</title>");
+    expect(xspf).toContain("<creator>A &amp; B</creator>");
+    expect(xspf).toContain("<annotation>Warm-up: easy, go</annotation>");
+  });
+});
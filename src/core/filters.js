@@ -0,0 +1,129 @@
+// ── Pool Filters ──
+// Cleans a loaded pool before sorting: drops tracks outside the duration,
+// energy and BPM limits, explicit tracks, excluded artists and repeats of a
+// track already in the pool. Unknown values (no BPM, no duration) never
+// exclude a track. Nothing is lost: every removed track comes back with the
+// reason, so the UI can list and restore it.
+
+/**
+ * @typedef {object} PoolFilter
+ * @property {boolean} duplicates drop repeats by track ID, ISRC or title + artist
+ * @property {boolean} explicit drop explicit tracks
+ * @property {number | null} minMinutes
+ * @property {number | null} maxMinutes
+ * @property {number | null} energyMin
+ * @property {number | null} energyMax
+ * @property {number | null} bpmMin
+ * @property {number | null} bpmMax
+ * @property {string[]} artists excluded artist names, case-insensitive
+ */
+
+/** @type {PoolFilter} */
+export const DEFAULT_POOL_FILTER = {
+  duplicates: true,
+  explicit: false,
+  minMinutes: null,
+  maxMinutes: null,
+  energyMin: null,
+  energyMax: null,
+  bpmMin: null,
+  bpmMax: null,
+  artists: [],
+};
+
+export const EXCLUSION_REASONS = {
+  duplicate: "Doppelt",
+  explicit: "Explicit",
+  tooShort: "Zu kurz",
+  tooLong: "Zu lang",
+  energy: "Energy außerhalb",
+  bpm: "BPM außerhalb",
+  artist: "Künstler ausgeschlossen",
+};
+
+// Version suffixes that do not make a different song for class
+const VERSION_NOTE = /\s*(?:[([][^)\]]*(?:remaster|radio edit|single version|album version|mono|stereo|feat\.|ft\.|with )[^)\]]*[)\]]|\s-\s.*(?:remaster|radio edit|single version|album version|mono|stereo).*)$/i;
+
+// Accents fall away with NFKD, since the combining marks are not a–z
+function normalizeName(text) {
+  return String(text || "").toLowerCase().normalize("NFKD").replace(/&/g, " and ").replace(/[^a-z0-9]+/g, " ").trim();
+}
+
+/**
+ * Title without version notes such as "(Remastered 2011)" or "- Radio Edit".
+ * @param {string} title
+ * @returns {string}
+ */
+export function normalizeTitle(title) {
+  let current = title || "";
+  for (let previous = null; previous !== current;) {
+    previous = current;
+    current = current.replace(VERSION_NOTE, "");
+  }
+  return normalizeName(current);
+}
+
+/**
+ * Normalized names of a track's artists, for comparing artists across tracks.
+ * @param {{ artist?: string }} track
+ * @returns {string[]}
+ */
+export function trackArtists(track) {
+  return (track.artist || "").split(", ").map(normalizeName).filter(Boolean);
+}
+
+// Every key a repeat of this track could share with it. Titles in scripts
+// other than Latin normalize to nothing and only match by ID or ISRC.
+function duplicateKeys(track) {
+  const artist = trackArtists(track)[0];
+  const title = normalizeTitle(track.name);
+  return [
+    `id:${track.id}`,
+    track.isrc && `isrc:${track.isrc.toUpperCase()}`,
+    artist && title && `title:${artist}:${title}`,
+  ].filter(Boolean);
+}
+
+const below = (value, min) => value != null && min != null && value < min;
+const above = (value, max) => value != null && max != null && value > max;
+
+function exclusionReason(track, filter, artists) {
+  const minutes = track.duration_ms ? track.duration_ms / 60000 : null;
+  if (filter.explicit && track.explicit) return "explicit";
+  if (below(minutes, filter.minMinutes)) return "tooShort";
+  if (above(minutes, filter.maxMinutes)) return "tooLong";
+  if (below(track.energy, filter.energyMin) || above(track.energy, filter.energyMax)) return "energy";
+  if (below(track.bpm, filter.bpmMin) || above(track.bpm, filter.bpmMax)) return "bpm";
+  if (trackArtists(track).some((a) => artists.has(a))) return "artist";
+  return null;
+}
+
+/**
+ * Splits a pool into the tracks that pass the filter and the excluded ones.
+ * Of several copies the first one that passes every other rule stays.
+ * @param {import("./tracks.js").Track[]} tracks
+ * @param {Partial<PoolFilter>} filter
+ * @param {Record<string, boolean>} [keep] track IDs restored by hand, never excluded
+ * @returns {{ kept: import("./tracks.js").Track[],
+ *   excluded: { track: import("./tracks.js").Track, reason: keyof EXCLUSION_REASONS }[] }}
+ *   both keep pool order
+ */
+export function filterPool(tracks, filter, keep = {}) {
+  const settings = { ...DEFAULT_POOL_FILTER, ...filter };
+  const artists = new Set(settings.artists.map(normalizeName).filter(Boolean));
+  const seen = new Set();
+  const kept = [];
+  const excluded = [];
+  for (const track of tracks) {
+    const keys = duplicateKeys(track);
+    let reason = keep[track.id] ? null : exclusionReason(track, settings, artists);
+    if (!reason && !keep[track.id] && settings.duplicates && keys.some((k) => seen.has(k))) reason = "duplicate";
+    if (reason) {
+      excluded.push({ track, reason });
+    } else {
+      kept.push(track);
+      keys.forEach((k) => seen.add(k));
+    }
+  }
+  return { kept, excluded };
+}
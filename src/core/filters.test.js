@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_POOL_FILTER, filterPool, normalizeTitle } from "./filters.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const ids = (tracks) => tracks.map((t) => t.id);
+const reasons = (excluded) => excluded.map((e) => [e.track.id, e.reason]);
+
+describe("normalizeTitle", () => {
+  it("drops version notes, accents and punctuation", () => {
+    expect(normalizeTitle("Don't Stop Me Now - Remastered 2011")).toBe("don t stop me now");
+    expect(normalizeTitle("Café del Mar (Radio Edit)")).toBe("cafe del mar");
+    expect(normalizeTitle("Levels (feat. Etta James) [Remastered]")).toBe("levels");
+  });
+
+  it("keeps remixes apart from the original", () => {
+    expect(normalizeTitle("Levels (Skrillex Remix)")).not.toBe(normalizeTitle("Levels"));
+  });
+});
+
+describe("filterPool", () => {
+  it("keeps everything with the default filter but repeats", () => {
+    const tracks = [makeTrack("a"), makeTrack("b", { explicit: true, duration_ms: 30000 })];
+    expect(filterPool(tracks, DEFAULT_POOL_FILTER)).toEqual({ kept: tracks, excluded: [] });
+  });
+
+  it("finds repeats by ID, ISRC and title + artist", () => {
+    const tracks = [
+      makeTrack("a", { name: "Levels", artist: "Avicii", isrc: "SE1" }),
+      makeTrack("a", { name: "Levels", artist: "Avicii", isrc: "SE1" }),
+      makeTrack("b", { name: "Levels - Radio Edit", artist: "Avicii, Etta James" }),
+      makeTrack("c", { name: "Other", artist: "X", isrc: "se1" }),
+      makeTrack("d", { name: "Levels", artist: "Someone Else" }),
+    ];
+    const { kept, excluded } = filterPool(tracks, { duplicates: true });
+    expect(ids(kept)).toEqual(["a", "d"]);
+    expect(reasons(excluded)).toEqual([["a", "duplicate"], ["b", "duplicate"], ["c", "duplicate"]]);
+  });
+
+  it("does not match titles that normalize to nothing", () => {
+    const tracks = [makeTrack("a", { name: "夜に駆ける", artist: "YOASOBI" }), makeTrack("b", { name: "群青", artist: "YOASOBI" })];
+    expect(filterPool(tracks, {}).kept).toHaveLength(2);
+  });
+
+  it("applies limits and leaves unknown values in", () => {
+    const tracks = [
+      makeTrack("short", { duration_ms: 90000 }),
+      makeTrack("long", { duration_ms: 600000 }),
+      makeTrack("calm", { energy: 0.2 }),
+      makeTrack("slow", { bpm: 70 }),
+      makeTrack("unknown", { bpm: null, duration_ms: null }),
+      makeTrack("explicit", { explicit: true }),
+    ];
+    const { kept, excluded } = filterPool(tracks, {
+      explicit: true, minMinutes: 2, maxMinutes: 8, energyMin: 0.3, bpmMin: 80, bpmMax: 180,
+    });
+    expect(ids(kept)).toEqual(["unknown"]);
+    expect(reasons(excluded)).toEqual([
+      ["short", "tooShort"], ["long", "tooLong"], ["calm", "energy"], ["slow", "bpm"], ["explicit", "explicit"],
+    ]);
+  });
+
+  it("excludes artists by any credited name", () => {
+    const tracks = [makeTrack("a", { artist: "Band, Beyoncé" }), makeTrack("b", { artist: "Beyond" })];
+    expect(ids(filterPool(tracks, { artists: ["beyonce"] }).kept)).toEqual(["b"]);
+  });
+
+  it("never excludes tracks restored by hand", () => {
+    const tracks = [makeTrack("a"), makeTrack("a", { explicit: true })];
+    expect(filterPool(tracks, { explicit: true }, { a: true }).kept).toEqual(tracks);
+  });
+});
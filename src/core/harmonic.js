@@ -0,0 +1,86 @@
+// ── Harmonic Mixing ──
+// Camelot wheel positions by Spotify pitch class (0 = C), for major and minor.
+// Neighbouring tracks mix cleanly when they share a code, sit one step apart
+// on the same ring, or switch between relative major and minor.
+export const CAMELOT_MAJOR = [8, 3, 10, 5, 12, 7, 2, 9, 4, 11, 6, 1];
+export const CAMELOT_MINOR = [5, 12, 7, 2, 9, 4, 11, 6, 1, 8, 3, 10];
+
+/**
+ * Camelot code of a track's key, e.g. `{ number: 8, letter: "B" }` for C major.
+ * @param {{ key: number | null, mode: number | null }} track
+ * @returns {{ number: number, letter: "A" | "B" } | null}
+ */
+export function camelotCode(track) {
+  if (track.key == null || track.key < 0 || track.mode == null) return null;
+  return track.mode === 1
+    ? { number: CAMELOT_MAJOR[track.key], letter: "B" }
+    : { number: CAMELOT_MINOR[track.key], letter: "A" };
+}
+
+/**
+ * @param {{ number: number, letter: string } | null} code
+ * @returns {string} "8B", or "—" for an unknown key
+ */
+export function formatCamelot(code) {
+  return code ? `${code.number}${code.letter}` : "—";
+}
+
+/**
+ * Whether two tracks can follow each other without a key clash. Unknown keys
+ * never count as a clash.
+ * @returns {boolean}
+ */
+export function harmonicallyCompatible(a, b) {
+  const ca = camelotCode(a);
+  const cb = camelotCode(b);
+  if (!ca || !cb) return true;
+  const step = Math.abs(ca.number - cb.number) % 12;
+  if (ca.letter === cb.letter) return step <= 1 || step === 11;
+  return step === 0;
+}
+
+/**
+ * Swaps a track for a later one of similar value when that removes a key
+ * clash, so the curve only moves by at most `tolerance` at any position.
+ * When the later track of a clash is fixed, the earlier one is swapped
+ * instead, with a partner from either side.
+ * @param {object[]} order tracks in class order
+ * @param {Map<object, number>} values the sort value of every track
+ * @param {number} tolerance largest value difference a swap may introduce
+ * @param {object} [options]
+ * @param {number} [options.window] how many positions away to look for a partner
+ * @param {Set<object>} [options.fixed] tracks that keep their position (pins)
+ * @returns {object[]} a new order
+ */
+export function harmonicSmooth(order, values, tolerance, { window = 6, fixed = new Set() } = {}) {
+  const result = [...order];
+  const n = result.length;
+  const clashesAround = (positions) => {
+    const pairs = new Set();
+    positions.forEach((p) => { pairs.add(p - 1); pairs.add(p); });
+    let count = 0;
+    pairs.forEach((p) => {
+      if (p >= 0 && p + 1 < n && !harmonicallyCompatible(result[p], result[p + 1])) count++;
+    });
+    return count;
+  };
+  for (let i = 0; i < n - 1; i++) {
+    if (harmonicallyCompatible(result[i], result[i + 1])) continue;
+    const moving = fixed.has(result[i + 1]) ? i : i + 1;
+    if (fixed.has(result[moving])) continue;
+    const partners = [];
+    for (let j = i + 2; j < Math.min(n, i + 2 + window); j++) partners.push(j);
+    if (moving === i) for (let j = i - 1; j >= Math.max(0, i - window); j--) partners.push(j);
+    for (const j of partners) {
+      if (fixed.has(result[j])) continue;
+      if (Math.abs(values.get(result[j]) - values.get(result[moving])) > tolerance) continue;
+      const fits = moving === i ? harmonicallyCompatible(result[j], result[i + 1]) : harmonicallyCompatible(result[i], result[j]);
+      if (!fits) continue;
+      const before = clashesAround([moving, j]);
+      [result[moving], result[j]] = [result[j], result[moving]];
+      if (clashesAround([moving, j]) < before) break;
+      [result[moving], result[j]] = [result[j], result[moving]];
+    }
+  }
+  return result;
+}
@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { camelotCode, formatCamelot, harmonicSmooth, harmonicallyCompatible } from "./harmonic.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+// C major = 8B, A minor = 8A, G major = 9B, F# major = 2B
+const cMajor = makeTrack("c", { key: 0, mode: 1 });
+const aMinor = makeTrack("am", { key: 9, mode: 0 });
+const gMajor = makeTrack("g", { key: 7, mode: 1 });
+const fSharpMajor = makeTrack("fs", { key: 6, mode: 1 });
+const unknown = makeTrack("u", { key: null, mode: null });
+
+describe("camelotCode", () => {
+  it("maps Spotify keys onto the wheel", () => {
+    expect(formatCamelot(camelotCode(cMajor))).toBe("8B");
+    expect(formatCamelot(camelotCode(aMinor))).toBe("8A");
+    expect(formatCamelot(camelotCode(unknown))).toBe("—");
+  });
+});
+
+describe("harmonicallyCompatible", () => {
+  it("accepts neighbours and relative keys, rejects distant ones", () => {
+    expect(harmonicallyCompatible(cMajor, gMajor)).toBe(true);
+    expect(harmonicallyCompatible(cMajor, aMinor)).toBe(true);
+    expect(harmonicallyCompatible(cMajor, fSharpMajor)).toBe(false);
+  });
+
+  it("never counts unknown keys as a clash", () => {
+    expect(harmonicallyCompatible(unknown, fSharpMajor)).toBe(true);
+  });
+
+  it("wraps around 12 to 1", () => {
+    const eMajor = makeTrack("e", { key: 4, mode: 1 }); // 12B
+    const bMajor = makeTrack("b", { key: 11, mode: 1 }); // 1B
+    expect(harmonicallyCompatible(eMajor, bMajor)).toBe(true);
+  });
+});
+
+describe("harmonicSmooth", () => {
+  it("swaps in a compatible track of similar value", () => {
+    const order = [cMajor, fSharpMajor, gMajor];
+    const values = new Map([[cMajor, 0.5], [fSharpMajor, 0.52], [gMajor, 0.55]]);
+    expect(harmonicSmooth(order, values, 0.1)).toEqual([cMajor, gMajor, fSharpMajor]);
+  });
+
+  it("leaves the order alone when a swap would move the curve too far", () => {
+    const order = [cMajor, fSharpMajor, gMajor];
+    const values = new Map([[cMajor, 0.5], [fSharpMajor, 0.2], [gMajor, 0.9]]);
+    expect(harmonicSmooth(order, values, 0.1)).toEqual(order);
+  });
+
+  it("swaps the earlier track when the later one is fixed", () => {
+    const bMajor = makeTrack("b", { key: 11, mode: 1 }); // 1B
+    const cSharpMajor = makeTrack("cs", { key: 1, mode: 1 }); // 3B
+    const order = [bMajor, gMajor, fSharpMajor, cSharpMajor];
+    const values = new Map(order.map((t) => [t, 0.5]));
+    expect(harmonicSmooth(order, values, 0.1, { fixed: new Set([fSharpMajor]) }))
+      .toEqual([gMajor, bMajor, fSharpMajor, cSharpMajor]);
+  });
+});
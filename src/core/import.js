@@ -0,0 +1,210 @@
+import { CAMELOT_MAJOR, CAMELOT_MINOR } from "./harmonic.js";
+import { estimateEnergy } from "./tracks.js";
+
+// ── Import ──
+// Reads an exported JSON or CSV file, or a hand-written list, back into the
+// enriched track shape loadPlaylists builds, so everything but saving works
+// without a Spotify login. Tracks without a Spotify ID get a local ID from
+// artist and title, which keeps manual overrides attached across imports.
+const IMPORT_COLUMNS = {
+  name: ["titel", "title", "name", "track"],
+  artist: ["künstler", "artist", "artists", "interpret"],
+  album: ["album"],
+  energy: ["energy"],
+  bpm: ["bpm", "tempo"],
+  duration: ["dauer", "duration", "duration_ms", "länge", "length"],
+  trimStart: ["ein", "trim in", "trim start"],
+  trimEnd: ["aus", "trim out", "trim end"],
+  key: ["key", "tonart", "camelot"],
+  uri: ["uri", "spotify uri"],
+  isrc: ["isrc"],
+};
+// Workspace state that an exported JSON carries but a fresh load rebuilds
+const WORKSPACE_FIELDS = ["base", "overridden", "intensity", "position", "startMs", "segment"];
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const number = Number(String(value).trim().replace(",", "."));
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * "3:45" and "1:02:30" read as clock times; bare numbers as ms above 10000,
+ * seconds otherwise.
+ * @param {string | number} value
+ * @returns {number | null} ms
+ */
+export function parseDuration(value) {
+  const text = String(value ?? "").trim();
+  if (/^\d+(:\d{2}){1,2}$/.test(text)) {
+    return text.split(":").reduce((s, part) => s * 60 + Number(part), 0) * 1000;
+  }
+  const number = toNumber(text);
+  if (number == null || number <= 0) return null;
+  return number > 10000 ? Math.round(number) : Math.round(number * 1000);
+}
+
+/**
+ * @param {string} value a Camelot code like "8B"
+ * @returns {{ key?: number, mode?: number }} empty for anything else
+ */
+export function parseCamelot(value) {
+  const match = String(value ?? "").trim().match(/^(\d{1,2})([AB])$/i);
+  if (!match) return {};
+  const wheel = match[2].toUpperCase() === "B" ? CAMELOT_MAJOR : CAMELOT_MINOR;
+  const key = wheel.indexOf(Number(match[1]));
+  return key === -1 ? {} : { key, mode: wheel === CAMELOT_MAJOR ? 1 : 0 };
+}
+
+// Comma, semicolon or tab separated, whichever splits the header most
+function parseDelimited(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const delimiter = [";", "\t"].reduce((best, d) => header.split(d).length > header.split(best).length ? d : best, ",");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+// Column index of every known field, or null when the header has no title
+function importColumns(header) {
+  const cells = header.map((cell) => cell.trim().toLowerCase());
+  const columns = Object.fromEntries(Object.entries(IMPORT_COLUMNS)
+    .map(([field, names]) => [field, cells.findIndex((cell) => names.includes(cell))])
+    .filter(([, index]) => index !== -1));
+  return columns.name != null ? columns : null;
+}
+
+// "Artist - Title | 0.8 | 128 bpm | 3:45 | 8A": the values after the title
+// are optional and told apart by their shape
+function parseListLine(line) {
+  const [head, ...values] = line.split(/\s*[|\t]\s*/);
+  const title = head.trim().replace(/^\d+[.)]\s+/, "");
+  const dash = title.match(/^(.+?)\s+[-–—]\s+(.+)$/);
+  const raw = dash ? { artist: dash[1], name: dash[2] } : { artist: "", name: title };
+  for (const value of values) {
+    if (/^\d+(:\d{2}){1,2}$/.test(value)) raw.duration_ms = parseDuration(value);
+    else if (/^\d{1,2}[AB]$/i.test(value)) Object.assign(raw, parseCamelot(value));
+    else if (/bpm$/i.test(value) || toNumber(value) >= 40) raw.bpm = toNumber(value.replace(/\s*bpm$/i, ""));
+    else if (toNumber(value) != null && toNumber(value) <= 1) raw.energy = toNumber(value);
+  }
+  return raw;
+}
+
+const normalizeForId = (text) => String(text || "").toLowerCase().normalize("NFKD").replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/**
+ * Normalizes one imported entry into a track.
+ * @param {object} raw an exported track, or fields read from a CSV row or list line
+ * @returns {import("./tracks.js").Track}
+ */
+export function importedTrack(raw) {
+  const source = { ...raw };
+  WORKSPACE_FIELDS.forEach((field) => delete source[field]);
+  const name = String(source.name || "").trim();
+  const artist = String(source.artist || "").trim();
+  const spotifyId = String(source.uri || "").match(/^spotify:track:(\w+)$/)?.[1];
+  const energy = toNumber(source.energy);
+  const genres = Array.isArray(source.genres) ? source.genres : [];
+  const track = {
+    id: source.id || spotifyId || `local:${normalizeForId(artist)}:${normalizeForId(name)}`,
+    uri: source.uri || null,
+    name,
+    artist,
+    isrc: source.isrc || null,
+    sources: source.sources || [],
+    album: source.album || null,
+    albumId: source.albumId || null,
+    albumArt: source.albumArt || null,
+    bpm: toNumber(source.bpm) ? Math.round(toNumber(source.bpm)) : null,
+    danceability: source.danceability ?? null,
+    valence: source.valence ?? null,
+    key: source.key ?? null,
+    mode: source.mode ?? null,
+    duration_ms: toNumber(source.duration_ms) || null,
+    trimStartMs: toNumber(source.trimStartMs),
+    trimEndMs: toNumber(source.trimEndMs),
+    popularity: source.popularity ?? null,
+    explicit: !!source.explicit,
+    genres,
+  };
+  const estimate = energy == null ? estimateEnergy(track, genres) : null;
+  return {
+    ...track,
+    energy: estimate ? estimate.energy : Math.min(1, Math.max(0, energy)),
+    // Manual values in an export are the user's own, but no longer overrides
+    energySource: estimate ? "estimated" : !source.energySource || source.energySource === "manual" ? "imported" : source.energySource,
+    energyConfidence: estimate ? estimate.confidence : source.energyConfidence ?? 1,
+    hasAudioFeatures: energy != null,
+  };
+}
+
+/**
+ * Parses an exported JSON or CSV file, or a hand-written list.
+ * @param {string} text
+ * @returns {{ tracks: import("./tracks.js").Track[], skipped: number }} skipped
+ *   counts entries dropped as untitled or repeated
+ * @throws {Error} for JSON without a track list, or malformed JSON
+ */
+export function parseTrackImport(text) {
+  const trimmed = text.replace(/^\uFEFF/, "").trim();
+  let raws;
+  if (/^[[{]/.test(trimmed)) {
+    const data = JSON.parse(trimmed);
+    raws = Array.isArray(data) ? data : data.tracks;
+    if (!Array.isArray(raws)) throw new Error("JSON enthält keine Track-Liste");
+  } else {
+    const rows = parseDelimited(trimmed);
+    const columns = importColumns(rows[0] || []);
+    raws = columns
+      ? rows.slice(1).map((row) => {
+        const cell = (field) => columns[field] != null ? row[columns[field]]?.trim() : undefined;
+        return {
+          name: cell("name"),
+          artist: cell("artist"),
+          album: cell("album"),
+          energy: cell("energy"),
+          bpm: cell("bpm"),
+          duration_ms: parseDuration(cell("duration")),
+          trimStartMs: parseDuration(cell("trimStart")),
+          trimEndMs: parseDuration(cell("trimEnd")),
+          uri: cell("uri"),
+          isrc: cell("isrc"),
+          ...parseCamelot(cell("key")),
+        };
+      })
+      : trimmed.split(/\r?\n/).filter((line) => line.trim()).map(parseListLine);
+  }
+
+  const seen = new Set();
+  const tracks = raws.map(importedTrack).filter((t) => {
+    if (!t.name || seen.has(t.id)) return false;
+    seen.add(t.id);
+    return true;
+  });
+  return { tracks, skipped: raws.length - tracks.length };
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { parseCamelot, parseDuration, parseTrackImport } from "./import.js";
+import { EXPORT_FORMATS, cueSheetRows } from "./export.js";
+import { applyOverride } from "./tracks.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const exported = [
+  applyOverride(makeTrack("a", { name: 'Say "Hi", all', artist: "A & B", energy: 0.4, bpm: 170, key: 0, mode: 1 }), { energy: 0.9, trimStart: 15000 }),
+  makeTrack("b", { name: "Two", artist: "C", energy: 0.8, bpm: 128, key: 9, mode: 0, duration_ms: 245000 }),
+];
+
+describe("parseDuration", () => {
+  it("reads clock times, milliseconds and seconds", () => {
+    expect(parseDuration("3:45")).toBe(225000);
+    expect(parseDuration("1:02:30")).toBe(3750000);
+    expect(parseDuration("245000")).toBe(245000);
+    expect(parseDuration(200)).toBe(200000);
+    expect(parseDuration("")).toBeNull();
+  });
+});
+
+describe("parseCamelot", () => {
+  it("turns a Camelot code back into key and mode", () => {
+    expect(parseCamelot("8B")).toEqual({ key: 0, mode: 1 });
+    expect(parseCamelot("8a")).toEqual({ key: 9, mode: 0 });
+    expect(parseCamelot("—")).toEqual({});
+  });
+});
+
+describe("parseTrackImport", () => {
+  it("round-trips a JSON export, keeping edited values as imported", () => {
+    const json = EXPORT_FORMATS.json.build(cueSheetRows(exported), { name: "Class" });
+    const { tracks, skipped } = parseTrackImport(json);
+    expect(skipped).toBe(0);
+    expect(tracks[0]).toMatchObject({ id: "a", name: 'Say "Hi", all', energy: 0.9, energySource: "imported", bpm: 170, trimStartMs: 15000 });
+    expect(tracks[0]).not.toHaveProperty("base");
+    expect(tracks[0]).not.toHaveProperty("startMs");
+    expect(tracks[1]).toMatchObject({ id: "b", energySource: "measured", duration_ms: 245000 });
+  });
+
+  it("round-trips a CSV export", () => {
+    const csv = EXPORT_FORMATS.csv.build(cueSheetRows(exported));
+    const { tracks } = parseTrackImport(csv);
+    expect(tracks.map((t) => [t.id, t.name, t.artist, t.energy, t.bpm, t.key, t.mode, t.duration_ms, t.trimStartMs])).toEqual([
+      ["a", 'Say "Hi", all', "A & B", 0.9, 170, 0, 1, 240000, 15000],
+      ["b", "Two", "C", 0.8, 128, 9, 0, 245000, null],
+    ]);
+  });
+
+  it("reads semicolon separated CSV with decimal commas", () => {
+    const { tracks } = parseTrackImport('Title;Artist;Energy;Dauer\n"A; b";X;0,7;3:00\n');
+    expect(tracks[0]).toMatchObject({ id: "local:x:a-b", name: "A; b", energy: 0.7, duration_ms: 180000 });
+  });
+
+  it("reads a hand-written list and estimates missing energy", () => {
+    const { tracks, skipped } = parseTrackImport([
+      "1. Queen - Don't Stop Me Now | 0.86 | 156 bpm | 3:29 | 8B",
+      "Daft Punk – One More Time | 5:20",
+      "Daft Punk – One More Time",
+    ].join("\n"));
+    expect(skipped).toBe(1);
+    expect(tracks[0]).toMatchObject({
+      id: "local:queen:don-t-stop-me-now", artist: "Queen", name: "Don't Stop Me Now",
+      energy: 0.86, bpm: 156, duration_ms: 209000, key: 0, mode: 1, uri: null,
+    });
+    expect(tracks[1]).toMatchObject({ artist: "Daft Punk", energySource: "estimated", duration_ms: 320000 });
+  });
+
+  it("rejects JSON without a track list", () => {
+    expect(() => parseTrackImport('{"name": "x"}')).toThrow("Track-Liste");
+  });
+});
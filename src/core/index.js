@@ -0,0 +1,19 @@
+// Headless core of the sorter: plain ES modules without React or browser
+// storage, shared by the app and any other tool that wants to sort classes.
+export * from "./curves.js";
+export * from "./cadence.js";
+export * from "./harmonic.js";
+export * from "./sort.js";
+export * from "./plans.js";
+export * from "./arrange.js";
+export * from "./tracks.js";
+export * from "./timing.js";
+export * from "./filters.js";
+export * from "./spacing.js";
+export * from "./import.js";
+export * from "./export.js";
+export * from "./chart.js";
+export * from "./quality.js";
+export * from "./ride.js";
+export * from "./player.js";
+export * from "./spotify.js";
@@ -0,0 +1,151 @@
+import { CADENCE_MAX, CADENCE_MIN, cadenceFromBpm } from "./cadence.js";
+import { harmonicSmooth } from "./harmonic.js";
+import { SORT_METRICS, metricValues, placePinned } from "./sort.js";
+import { SPACING_MAX_MISS, comesTooSoon, spaceOut } from "./spacing.js";
+import { slotMs, trimmedMs } from "./timing.js";
+
+// ── Class Plans ──
+// A class plan is a sequence of segments, each with a length in minutes, a
+// target energy range on Spotify's 0–1 scale and an optional cadence range in
+// rpm. fillSegments walks the plan and fills every segment with the pool
+// tracks that sit inside both ranges or come closest to them.
+const UNKNOWN_VALUE_MISS = 0.15;
+// A repeat inside the spacing rule counts like half the energy range off target
+const SPACING_MISS = 0.5;
+
+/**
+ * @typedef {object} Segment
+ * @property {string} label
+ * @property {number} minutes
+ * @property {number | null} energyMin
+ * @property {number | null} energyMax
+ * @property {number | null} cadenceMin rpm, null for any cadence
+ * @property {number | null} cadenceMax
+ * @property {string} note cue for the instructor
+ */
+
+/** @type {{ name: string, segments: Segment[] }} */
+export const DEFAULT_CLASS_PLAN = {
+  name: "45 min Standard",
+  segments: [
+    { label: "Warm-up", minutes: 5, energyMin: 0.3, energyMax: 0.5, cadenceMin: 80, cadenceMax: 95, note: "Locker einrollen" },
+    { label: "Flach", minutes: 8, energyMin: 0.5, energyMax: 0.7, cadenceMin: 85, cadenceMax: 100, note: "" },
+    { label: "Climb", minutes: 8, energyMin: 0.6, energyMax: 0.8, cadenceMin: 60, cadenceMax: 75, note: "Widerstand hoch" },
+    { label: "Intervalle", minutes: 10, energyMin: 0.75, energyMax: 1, cadenceMin: 90, cadenceMax: 110, note: "30/30 Sprints" },
+    { label: "Climb", minutes: 8, energyMin: 0.7, energyMax: 0.9, cadenceMin: 60, cadenceMax: 75, note: "" },
+    { label: "Cool-down", minutes: 6, energyMin: 0.2, energyMax: 0.4, cadenceMin: null, cadenceMax: null, note: "Dehnen" },
+  ],
+};
+
+/**
+ * Start and end of every segment in class time.
+ * @param {Segment[]} segments
+ * @returns {{ start: number, end: number }[]} in ms
+ */
+export function segmentBounds(segments) {
+  let start = 0;
+  return segments.map((segment) => {
+    const bounds = { start, end: start + (segment.minutes || 0) * 60000 };
+    start = bounds.end;
+    return bounds;
+  });
+}
+
+/**
+ * Index of the segment running at `ms`, or -1 once the plan is over.
+ * @param {Segment[]} segments
+ * @param {number} ms
+ * @returns {number}
+ */
+export function segmentAt(segments, ms) {
+  return segmentBounds(segments).findIndex((b) => ms < b.end);
+}
+
+/**
+ * How far a value lies outside [min, max]; either bound may be null.
+ * @returns {number | null} 0 inside the range, null for an unknown value
+ */
+export function rangeDistance(value, min, max) {
+  if (value == null) return null;
+  if (min != null && value < min) return min - value;
+  if (max != null && value > max) return value - max;
+  return 0;
+}
+
+// How far a track falls outside a segment's ranges, on the energy scale. A
+// full cadence octave weighs as much as the whole energy range; within range,
+// tracks near the middle of the energy window win ties.
+function segmentMiss(track, segment) {
+  const energy = rangeDistance(track.energy, segment.energyMin, segment.energyMax) ?? UNKNOWN_VALUE_MISS;
+  const anyCadence = segment.cadenceMin == null && segment.cadenceMax == null;
+  const cadenceMiss = rangeDistance(cadenceFromBpm(track.bpm), segment.cadenceMin, segment.cadenceMax);
+  const cadence = anyCadence ? 0 : cadenceMiss == null ? UNKNOWN_VALUE_MISS : cadenceMiss / (CADENCE_MAX - CADENCE_MIN);
+  const mid = ((segment.energyMin ?? 0) + (segment.energyMax ?? 1)) / 2;
+  return energy + cadence + 0.01 * Math.abs((track.energy ?? mid) - mid);
+}
+
+/**
+ * Fills every segment of a plan with the pool tracks that fit it best.
+ * A track belongs to the segment its midpoint falls into. Segment ends are
+ * cumulative, so running short or long in one segment evens out in the next.
+ * Pinned tracks keep their slots and every segment shrinks by their share.
+ * @param {object[]} tracks the pool
+ * @param {Segment[]} segments
+ * @param {object} [options]
+ * @param {boolean} [options.harmonic] smooth key changes within each segment
+ * @param {Record<string, import("./sort.js").Pin>} [options.pins] keyed by track ID
+ * @param {number} [options.crossfadeMs] overlap between tracks
+ * @param {import("./spacing.js").SpacingRule} [options.spacing] keep artists and albums apart
+ * @returns {{ selected: object[], unused: object[] }}
+ */
+export function fillSegments(tracks, segments, { harmonic = false, pins = {}, crossfadeMs = 0, spacing = null } = {}) {
+  const length = (t) => slotMs(t, crossfadeMs);
+  const pool = tracks.filter((t) => trimmedMs(t) > 0 || pins[t.id]);
+  const pinned = pool.filter((t) => pins[t.id]);
+  const planTotal = segmentBounds(segments).at(-1)?.end || 0;
+  const pinnedMs = pinned.reduce((s, t) => s + length(t), 0);
+  const scale = planTotal > 0 ? Math.max(0, planTotal - pinnedMs) / planTotal : 0;
+  const values = metricValues(pool, SORT_METRICS.energy);
+
+  const order = [];
+  const pickedFor = new Map();
+  let remaining = pool.filter((t) => !pins[t.id]);
+  let elapsed = 0;
+  let end = 0;
+  for (const segment of segments) {
+    end += (segment.minutes || 0) * 60000 * scale;
+    const picks = [];
+    while (elapsed < end && remaining.length) {
+      let pick = null;
+      let pickScore = Infinity;
+      for (const track of remaining) {
+        if (elapsed + length(track) / 2 >= end) continue;
+        // Running past the segment end costs 0.1 per minute
+        const overrun = Math.max(0, elapsed + length(track) - end) / 600000;
+        const repeat = comesTooSoon([...order, ...picks], track, spacing, crossfadeMs) ? SPACING_MISS : 0;
+        const score = segmentMiss(track, segment) + overrun + repeat;
+        if (score < pickScore) { pick = track; pickScore = score; }
+      }
+      if (!pick) break;
+      picks.push(pick);
+      pickedFor.set(pick, segment);
+      remaining = remaining.filter((t) => t !== pick);
+      elapsed += length(pick);
+    }
+    order.push(...(harmonic ? harmonicSmooth(picks, values, 0.05) : picks));
+  }
+
+  const chosen = new Set([...order, ...pinned]);
+  const placed = placePinned(order, pinned, pins, crossfadeMs);
+  return {
+    // Spacing swaps are judged against the segment each free position was filled for
+    selected: spaceOut(placed, spacing, {
+      slotCost: (track, i) => (length(track) / 60000) * segmentMiss(track, pickedFor.get(placed[i])) ** 2,
+      maxSwapCost: 2 * (elapsed / Math.max(1, order.length) / 60000) * SPACING_MAX_MISS ** 2,
+      fixed: new Set(pinned),
+      anchors: new Set(pinned.filter((t) => pins[t.id].at === "minute")),
+      crossfadeMs,
+    }),
+    unused: tracks.filter((t) => !chosen.has(t)),
+  };
+}
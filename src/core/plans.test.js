@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CLASS_PLAN, fillSegments, rangeDistance, segmentAt, segmentBounds } from "./plans.js";
+import { cadenceFromBpm } from "./cadence.js";
+import { spacingConflicts } from "./spacing.js";
+import { makePool, makeTrack, totalMs } from "./__fixtures__/tracks.js";
+
+const segments = [
+  { label: "Warm-up", minutes: 8, energyMin: 0.2, energyMax: 0.4, cadenceMin: null, cadenceMax: null, note: "" },
+  { label: "Climb", minutes: 8, energyMin: 0.7, energyMax: 0.9, cadenceMin: 60, cadenceMax: 75, note: "" },
+];
+
+describe("segmentBounds / segmentAt", () => {
+  it("lays segments end to end", () => {
+    expect(segmentBounds(segments)).toEqual([
+      { start: 0, end: 8 * 60000 },
+      { start: 8 * 60000, end: 16 * 60000 },
+    ]);
+  });
+
+  it("finds the running segment and -1 after the plan", () => {
+    expect(segmentAt(segments, 0)).toBe(0);
+    expect(segmentAt(segments, 8 * 60000)).toBe(1);
+    expect(segmentAt(segments, 16 * 60000)).toBe(-1);
+  });
+});
+
+describe("rangeDistance", () => {
+  it("is zero inside, positive outside and null for unknown values", () => {
+    expect(rangeDistance(0.5, 0.4, 0.6)).toBe(0);
+    expect(rangeDistance(0.2, 0.4, 0.6)).toBeCloseTo(0.2);
+    expect(rangeDistance(0.9, null, 0.6)).toBeCloseTo(0.3);
+    expect(rangeDistance(null, 0.4, 0.6)).toBeNull();
+  });
+});
+
+describe("fillSegments", () => {
+  it("fills each segment with tracks from its ranges", () => {
+    const calm = [0, 1, 2].map((i) => makeTrack(`calm${i}`, { energy: 0.3, duration_ms: 160000 }));
+    const climbs = [0, 1, 2].map((i) => makeTrack(`climb${i}`, { energy: 0.8, bpm: 136, duration_ms: 160000 }));
+    const decoys = [makeTrack("fastClimb", { energy: 0.8, bpm: 180 }), makeTrack("loud", { energy: 1 })];
+    const { selected, unused } = fillSegments([...climbs, ...decoys, ...calm], segments);
+    expect(selected.slice(0, 3).every((t) => t.energy === 0.3)).toBe(true);
+    expect(selected.slice(3).every((t) => t.energy === 0.8 && cadenceFromBpm(t.bpm) === 68)).toBe(true);
+    expect(unused.map((t) => t.id).sort()).toEqual(["fastClimb", "loud"]);
+  });
+
+  it("lands close to the planned class length", () => {
+    const pool = makePool(40);
+    const { selected } = fillSegments(pool, DEFAULT_CLASS_PLAN.segments);
+    const planMs = DEFAULT_CLASS_PLAN.segments.reduce((s, seg) => s + seg.minutes * 60000, 0);
+    expect(Math.abs(totalMs(selected) - planMs)).toBeLessThan(3 * 60000);
+  });
+
+  it("keeps pinned tracks and leaves out tracks without a duration", () => {
+    const pool = makePool(20);
+    const untimed = makeTrack("untimed", { duration_ms: null });
+    const { selected, unused } = fillSegments([...pool, untimed], segments, { pins: { [pool[4].id]: { at: "start" } } });
+    expect(selected[0]).toBe(pool[4]);
+    expect(unused).toContain(untimed);
+  });
+
+  it("picks around artists that came too soon", () => {
+    const warm = ["Same", "Same", "Same", "A", "B", "C"]
+      .map((artist, i) => makeTrack(`w${i}`, { artist, energy: 0.3, duration_ms: 120000 }));
+    const climb = [0, 1, 2, 3].map((i) => makeTrack(`c${i}`, { energy: 0.8, bpm: 130, duration_ms: 120000 }));
+    const spacing = { artistTracks: 1, artistMinutes: 0, albumTracks: 0, albumMinutes: 0 };
+    expect(spacingConflicts(fillSegments([...warm, ...climb], segments).selected, spacing)).not.toEqual([]);
+    const { selected } = fillSegments([...warm, ...climb], segments, { spacing });
+    expect(spacingConflicts(selected, spacing)).toEqual([]);
+    expect(selected.slice(0, 4).every((t) => t.energy === 0.3)).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+// ── Ride Players ──
+// Ride mode drives playback through one small interface, so a rehearsal
+// without sound and a real Spotify device behave the same:
+//   play(atMs)  start playing at a class time
+//   pause()
+//   seek(atMs)  jump, keeping the play state
+//   position()  { elapsedMs, playing }, read every frame, never blocks
+//   sync()      catch up with the device; false when it plays something else
+// Class time runs on a local clock between syncs. Trim points are class
+// time offsets too: a device plays from trimStartMs into the track.
+
+function createClock(now, startMs) {
+  let anchor = { elapsedMs: startMs, at: now(), playing: false };
+  return {
+    set: (elapsedMs, playing) => { anchor = { elapsedMs, at: now(), playing }; },
+    position: () => ({
+      elapsedMs: anchor.playing ? anchor.elapsedMs + now() - anchor.at : anchor.elapsedMs,
+      playing: anchor.playing,
+    }),
+  };
+}
+
+/**
+ * The device a ride player source plays on. Only the browser player follows
+ * the Web Playback device, so its ready/not_ready events leave a rehearsal or
+ * a Connect device running.
+ * @param {"mock" | "web" | string} source "mock", "web" or a Connect device ID
+ * @param {string | null} webDeviceId the Web Playback SDK device, if ready
+ * @returns {string | null} null for the mock player
+ */
+export function rideDevice(source, webDeviceId) {
+  if (source === "mock") return null;
+  return source === "web" ? webDeviceId : source;
+}
+
+/**
+ * A player without sound that only keeps class time, for rehearsing or
+ * when no Spotify device is available.
+ * @param {object} [options]
+ * @param {number} [options.startMs] paused at this class time
+ * @param {() => number} [options.now]
+ */
+export function createMockPlayer({ startMs = 0, now = () => Date.now() } = {}) {
+  const clock = createClock(now, startMs);
+  return {
+    kind: "mock",
+    play: async (atMs) => clock.set(atMs, true),
+    pause: async () => clock.set(clock.position().elapsedMs, false),
+    seek: async (atMs) => clock.set(atMs, clock.position().playing),
+    position: clock.position,
+    sync: async () => true,
+  };
+}
+
+/**
+ * Plays the class on a Spotify Connect device (Premium only). Tracks
+ * without a Spotify URI are skipped. Spotify plays every track to its end,
+ * so sync() moves the device on once a track passes its trim-out point or
+ * the next one should fade in; the fade itself is the app's own crossfade.
+ * @param {object} options
+ * @param {ReturnType<import("./spotify.js").createSpotifyClient>} options.spotify
+ * @param {import("./ride.js").RideEntry[]} options.timeline
+ * @param {string} [options.deviceId] the active device when omitted
+ * @param {number} [options.startMs]
+ * @param {() => number} [options.now]
+ */
+export function createConnectPlayer({ spotify, timeline, deviceId, startMs = 0, now = () => Date.now() }) {
+  const clock = createClock(now, startMs);
+  const uris = timeline.map((e) => e.track.uri).filter(Boolean);
+
+  async function play(atMs) {
+    const entry = timeline.find((e) => e.track.uri && atMs < e.endMs);
+    if (!entry) return clock.set(timeline.at(-1)?.endMs || 0, false);
+    const positionMs = Math.max(0, atMs - entry.startMs);
+    await spotify.play(deviceId, {
+      uris,
+      offset: { uri: entry.track.uri },
+      position_ms: (entry.track.trimStartMs || 0) + positionMs,
+    });
+    clock.set(entry.startMs + positionMs, true);
+  }
+
+  return {
+    kind: "connect",
+    play,
+    pause: async () => {
+      await spotify.pause(deviceId);
+      clock.set(clock.position().elapsedMs, false);
+    },
+    seek: async (atMs) => {
+      if (clock.position().playing) await play(atMs);
+      else clock.set(atMs, false);
+    },
+    position: clock.position,
+    sync: async () => {
+      const state = await spotify.playbackState();
+      if (!state?.item) return true;
+      // A track can appear twice; take the copy closest to where we are
+      const { elapsedMs, playing } = clock.position();
+      const matches = timeline.filter((e) => e.track.uri === state.item.uri);
+      if (!matches.length) return false;
+      const entry = matches.reduce((best, e) => (
+        Math.abs(e.startMs - elapsedMs) < Math.abs(best.startMs - elapsedMs) ? e : best
+      ));
+      const deviceMs = entry.startMs + (state.progress_ms || 0) - (entry.track.trimStartMs || 0);
+      if (playing && state.is_playing && deviceMs >= entry.endMs && entry !== timeline.at(-1)) {
+        await play(Math.max(elapsedMs, entry.endMs));
+        return true;
+      }
+      clock.set(deviceMs, !!state.is_playing);
+      return true;
+    },
+  };
+}
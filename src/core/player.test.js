@@ -0,0 +1,105 @@
+import { describe, expect, it, vi } from "vitest";
+import { createConnectPlayer, createMockPlayer, rideDevice } from "./player.js";
+import { rideTimeline } from "./ride.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const fakeClock = () => {
+  let time = 1000;
+  return { now: () => time, advance: (ms) => { time += ms; } };
+};
+
+describe("createMockPlayer", () => {
+  it("keeps class time while playing", async () => {
+    const clock = fakeClock();
+    const player = createMockPlayer({ startMs: 5000, now: clock.now });
+    clock.advance(1000);
+    expect(player.position()).toEqual({ elapsedMs: 5000, playing: false });
+    await player.play(10000);
+    clock.advance(2000);
+    expect(player.position()).toEqual({ elapsedMs: 12000, playing: true });
+    await player.pause();
+    clock.advance(2000);
+    await player.seek(30000);
+    expect(player.position()).toEqual({ elapsedMs: 30000, playing: false });
+  });
+});
+
+describe("rideDevice", () => {
+  it("follows the web device only for the browser player", () => {
+    expect(rideDevice("web", "sdk-1")).toBe("sdk-1");
+    expect(rideDevice("web", null)).toBeNull();
+    expect(rideDevice("phone", "sdk-1")).toBe("phone");
+  });
+
+  it("leaves a running mock player alone when the web device changes", async () => {
+    // Ride mode rebuilds its player only when the device changes
+    const players = new Map();
+    const playerFor = (webDeviceId) => {
+      const key = rideDevice("mock", webDeviceId);
+      if (!players.has(key)) players.set(key, createMockPlayer());
+      return players.get(key);
+    };
+    const player = playerFor(null);
+    await player.play(5000);
+    expect(playerFor("sdk-1")).toBe(player);
+    expect(playerFor(null).position().playing).toBe(true);
+  });
+});
+
+describe("createConnectPlayer", () => {
+  const timeline = rideTimeline([
+    makeTrack("a", { duration_ms: 60000 }),
+    makeTrack("local", { uri: null, duration_ms: 60000 }),
+    makeTrack("b", { duration_ms: 60000 }),
+    makeTrack("a", { duration_ms: 60000 }),
+  ]);
+  const fakeSpotify = (state = null) => ({
+    play: vi.fn(async () => null),
+    pause: vi.fn(async () => null),
+    playbackState: vi.fn(async () => state),
+  });
+
+  it("starts the class at the right track and offset", async () => {
+    const spotify = fakeSpotify();
+    const player = createConnectPlayer({ spotify, timeline, deviceId: "d", now: fakeClock().now });
+    await player.play(70000);
+    expect(spotify.play).toHaveBeenCalledWith("d", {
+      uris: ["spotify:track:a", "spotify:track:b", "spotify:track:a"],
+      offset: { uri: "spotify:track:b" },
+      position_ms: 0,
+    });
+    expect(player.position()).toEqual({ elapsedMs: 120000, playing: true });
+  });
+
+  it("follows the device to the closest copy of a track", async () => {
+    const spotify = fakeSpotify({ item: { uri: "spotify:track:a" }, progress_ms: 5000, is_playing: true });
+    const player = createConnectPlayer({ spotify, timeline, startMs: 170000, now: fakeClock().now });
+    expect(await player.sync()).toBe(true);
+    expect(player.position()).toEqual({ elapsedMs: 185000, playing: true });
+  });
+
+  it("plays from the trim points and moves on past the trim-out", async () => {
+    const trimmed = rideTimeline([
+      makeTrack("a", { duration_ms: 60000, trimStartMs: 10000, trimEndMs: 40000 }),
+      makeTrack("b", { duration_ms: 60000, trimStartMs: 5000 }),
+    ]);
+    const spotify = fakeSpotify({ item: { uri: "spotify:track:a" }, progress_ms: 42000, is_playing: true });
+    const clock = fakeClock();
+    const player = createConnectPlayer({ spotify, timeline: trimmed, now: clock.now });
+    await player.play(5000);
+    expect(spotify.play).toHaveBeenLastCalledWith(undefined, expect.objectContaining({ position_ms: 15000 }));
+    clock.advance(27000);
+    await player.sync();
+    expect(spotify.play).toHaveBeenLastCalledWith(undefined, expect.objectContaining({
+      offset: { uri: "spotify:track:b" }, position_ms: 7000,
+    }));
+    expect(player.position()).toEqual({ elapsedMs: 32000, playing: true });
+  });
+
+  it("notices when the device plays something else", async () => {
+    const spotify = fakeSpotify({ item: { uri: "spotify:track:zzz" }, progress_ms: 0, is_playing: true });
+    const player = createConnectPlayer({ spotify, timeline, now: fakeClock().now });
+    expect(await player.sync()).toBe(false);
+    expect(player.position().elapsedMs).toBe(0);
+  });
+});
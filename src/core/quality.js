@@ -0,0 +1,155 @@
+import { CHART_SERIES } from "./chart.js";
+import { camelotCode, formatCamelot, harmonicallyCompatible } from "./harmonic.js";
+import { DEFAULT_SPACING, spacingConflicts } from "./spacing.js";
+
+// ── Sort Quality ──
+// How well the current order rides: distance from the target, jumps between
+// neighbours, artists or albums coming back inside the spacing rule and key
+// clashes. Every problem is an issue on the track where it shows up (the
+// second track of a transition), so the list can flag it inline. The score
+// weighs each kind by the share of tracks or transitions it hits; kinds
+// without data (no target) leave the weighting, so an unsorted class is
+// judged on its transitions alone.
+
+/** Neighbour jumps above these are flagged. */
+export const ENERGY_JUMP_LIMIT = 0.25;
+export const BPM_JUMP_LIMIT = 12;
+// Mean target miss, as a share of the series range, that costs the full weight
+const TARGET_DEVIATION_FULL = 0.2;
+
+/** Share of the score each kind of problem can cost; album repeats count as artist. */
+export const QUALITY_WEIGHTS = { target: 40, energy: 20, bpm: 15, artist: 15, key: 10 };
+
+/** Short German labels of the issue kinds. */
+export const ISSUE_LABELS = {
+  target: "Neben dem Ziel",
+  energy: "Energy-Sprung",
+  bpm: "BPM-Sprung",
+  artist: "Künstler-Wiederholung",
+  album: "Album-Wiederholung",
+  key: "Tonart-Konflikt",
+};
+
+/**
+ * Tempo difference where half and double time count as the same tempo, since
+ * riders pedal to either.
+ * @param {number | null} a bpm
+ * @param {number | null} b bpm
+ * @returns {number | null} null when a tempo is unknown
+ */
+export function bpmJump(a, b) {
+  if (!a || !b) return null;
+  return Math.min(Math.abs(a - b), Math.abs(a - 2 * b), Math.abs(2 * a - b));
+}
+
+/**
+ * @typedef {object} QualityIssue
+ * @property {number} index track the problem shows up on
+ * @property {"target" | "energy" | "bpm" | "artist" | "album" | "key"} kind
+ * @property {string} message German, for tooltips
+ */
+
+/**
+ * @typedef {object} ClassQuality
+ * @property {number | null} score 0–100, null for an empty class
+ * @property {number | null} targetDeviation mean miss of the target as a
+ *   share of the series range, null without a target
+ * @property {{ value: number, index: number } | null} maxEnergyJump
+ * @property {{ value: number, index: number } | null} maxBpmJump
+ * @property {number} artistRepeats
+ * @property {number} albumRepeats
+ * @property {number} keyClashes
+ * @property {QualityIssue[]} issues in class order
+ */
+
+/**
+ * @param {ReturnType<import("./chart.js").classChart>} chart the class, with its targets
+ * @param {object} [options]
+ * @param {import("./spacing.js").SpacingRule} [options.spacing] when artists and albums may come back
+ * @param {number} [options.crossfadeMs] the chart's crossfade, for minute limits
+ * @returns {ClassQuality}
+ */
+export function classQuality(chart, { spacing = DEFAULT_SPACING, crossfadeMs = 0 } = {}) {
+  const { bars } = chart;
+  const issues = [];
+  const counts = { target: 0, energy: 0, bpm: 0, artist: 0, album: 0, key: 0 };
+  const repeats = new Map(spacingConflicts(bars.map((b) => b.track), spacing, crossfadeMs).map((c) => [c.index, c]));
+  const flag = (index, kind, message) => {
+    issues.push({ index, kind, message });
+    counts[kind]++;
+  };
+
+  const misses = [];
+  let maxEnergyJump = null;
+  let maxBpmJump = null;
+  bars.forEach((bar, i) => {
+    const track = bar.track;
+    for (const [id, series] of Object.entries(CHART_SERIES)) {
+      if (bar.deviations[id] != null) misses.push(bar.deviations[id] / (series.max - series.min));
+    }
+    if (bar.offTarget) {
+      const off = Object.keys(CHART_SERIES).filter((id) => bar.deviations[id] > CHART_SERIES[id].tolerance);
+      flag(i, "target", off.map((id) => `${CHART_SERIES[id].label} ${formatMiss(bar, id)}`).join(", "));
+    }
+
+    const previous = bars[i - 1]?.track;
+    if (previous) {
+      if (previous.energy != null && track.energy != null) {
+        const jump = Math.abs(track.energy - previous.energy);
+        if (!maxEnergyJump || jump > maxEnergyJump.value) maxEnergyJump = { value: jump, index: i };
+        if (jump > ENERGY_JUMP_LIMIT) flag(i, "energy", `${previous.energy.toFixed(2)} → ${track.energy.toFixed(2)}`);
+      }
+      const tempoJump = bpmJump(previous.bpm, track.bpm);
+      if (tempoJump != null) {
+        if (!maxBpmJump || tempoJump > maxBpmJump.value) maxBpmJump = { value: tempoJump, index: i };
+        if (tempoJump > BPM_JUMP_LIMIT) flag(i, "bpm", `${previous.bpm} → ${track.bpm} BPM`);
+      }
+      if (!harmonicallyCompatible(previous, track)) {
+        flag(i, "key", `${formatCamelot(camelotCode(previous))} → ${formatCamelot(camelotCode(track))}`);
+      }
+    }
+
+    const repeat = repeats.get(i);
+    if (repeat) {
+      const back = i - repeat.earlier;
+      const what = repeat.kind === "album" ? `Album „${track.album}“` : track.artist;
+      flag(i, repeat.kind, `${what} schon ${back === 1 ? "im Track davor" : `${back} Tracks davor`}`);
+    }
+  });
+
+  const targetDeviation = misses.length ? misses.reduce((s, m) => s + m, 0) / misses.length : null;
+  const transitions = Math.max(1, bars.length - 1);
+  const shares = {
+    target: targetDeviation != null ? Math.min(1, targetDeviation / TARGET_DEVIATION_FULL) : null,
+    energy: counts.energy / transitions,
+    bpm: counts.bpm / transitions,
+    artist: (counts.artist + counts.album) / Math.max(1, bars.length),
+    key: counts.key / transitions,
+  };
+  let weight = 0;
+  let lost = 0;
+  for (const [kind, share] of Object.entries(shares)) {
+    if (share == null) continue;
+    weight += QUALITY_WEIGHTS[kind];
+    lost += QUALITY_WEIGHTS[kind] * share;
+  }
+
+  return {
+    score: bars.length ? Math.round(100 * (1 - lost / weight)) : null,
+    targetDeviation,
+    maxEnergyJump,
+    maxBpmJump,
+    artistRepeats: counts.artist,
+    albumRepeats: counts.album,
+    keyClashes: counts.key,
+    issues,
+  };
+}
+
+function formatMiss(bar, id) {
+  const value = bar.values[id];
+  const { min, max } = bar.targets[id];
+  const digits = id === "energy" ? 2 : 0;
+  const target = min === max ? min.toFixed(digits) : `${min?.toFixed(digits) ?? ""}–${max?.toFixed(digits) ?? ""}`;
+  return `${value.toFixed(digits)} statt ${target}`;
+}
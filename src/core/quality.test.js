@@ -0,0 +1,65 @@
+import { describe, expect, it } from "vitest";
+import { classChart } from "./chart.js";
+import { bpmJump, classQuality } from "./quality.js";
+import { DEFAULT_SPACING } from "./spacing.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const quality = (tracks, options) => classQuality(classChart(tracks, options));
+
+describe("bpmJump", () => {
+  it("treats half and double time as the same tempo", () => {
+    expect(bpmJump(128, 64)).toBe(0);
+    expect(bpmJump(120, 130)).toBe(10);
+    expect(bpmJump(null, 130)).toBeNull();
+  });
+});
+
+describe("classQuality", () => {
+  it("scores a smooth class without a target at 100", () => {
+    const tracks = [0.3, 0.4, 0.5].map((energy, i) => makeTrack(`s${i}`, { energy, bpm: 120 + i * 2 }));
+    expect(quality(tracks)).toMatchObject({
+      score: 100, targetDeviation: null, artistRepeats: 0, keyClashes: 0, issues: [],
+    });
+    expect(quality(tracks).maxEnergyJump.index).toBe(1);
+  });
+
+  it("flags jumps, clashes and repeats on the second track", () => {
+    const tracks = [
+      makeTrack("a", { energy: 0.2, bpm: 90, key: 0, mode: 1, artist: "Band" }),
+      makeTrack("b", { energy: 0.8, bpm: 128, key: 6, mode: 1, artist: "Other" }),
+      makeTrack("c", { energy: 0.8, bpm: 64, key: 6, mode: 1, artist: "Guest, Band" }),
+    ];
+    const result = quality(tracks);
+    expect(result.issues.map((i) => [i.index, i.kind])).toEqual([
+      [1, "energy"], [1, "bpm"], [1, "key"], [2, "artist"],
+    ]);
+    expect(result.maxBpmJump).toEqual({ value: 38, index: 1 });
+    expect(result.maxEnergyJump.value).toBeCloseTo(0.6);
+    expect(result.issues[3].message).toBe("Guest, Band schon 2 Tracks davor");
+    expect(result.score).toBeLessThan(100);
+    expect(classQuality(classChart(tracks), { spacing: { ...DEFAULT_SPACING, artistTracks: 1 } }).artistRepeats).toBe(0);
+  });
+
+  it("flags albums by the spacing rule", () => {
+    const tracks = ["a", "b"].map((id) => makeTrack(id, { album: "Discovery", albumId: "d1" }));
+    const spacing = { ...DEFAULT_SPACING, albumTracks: 2 };
+    const result = classQuality(classChart(tracks), { spacing });
+    expect(result).toMatchObject({ albumRepeats: 1, artistRepeats: 0 });
+    expect(result.issues[0]).toMatchObject({ index: 1, kind: "album", message: "Album „Discovery“ schon im Track davor" });
+  });
+
+  it("weighs the distance from the target", () => {
+    const tracks = [0.3, 0.5, 0.7].map((energy, i) => makeTrack(`t${i}`, { energy }));
+    const onTarget = quality(tracks, { target: (ms) => 0.3 + 0.05 * (ms / 60000 - 2), targetMetric: "energy" });
+    const offTarget = quality(tracks, { target: () => 0.9, targetMetric: "energy" });
+    expect(offTarget.targetDeviation).toBeCloseTo(0.4);
+    expect(offTarget.issues.filter((i) => i.kind === "target")).toHaveLength(3);
+    expect(offTarget.issues[0].message).toBe("Energy 0.30 statt 0.90");
+    expect(onTarget.targetDeviation).toBeCloseTo(0);
+    expect(onTarget.score).toBeGreaterThan(offTarget.score);
+  });
+
+  it("has no score for an empty class", () => {
+    expect(quality([]).score).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+import { cadenceFromBpm } from "./cadence.js";
+import { segmentAt } from "./plans.js";
+import { metricValues } from "./sort.js";
+import { classTimeline, slotMs, trimmedMs } from "./timing.js";
+
+// ── Ride Mode ──
+// Where a running class stands at a given elapsed time: current and next
+// track, the segment and its target, and the cue for whatever comes next.
+// Segments follow the tracks like on the cue sheet: a track belongs to the
+// segment its midpoint falls into, so a segment ends with its last track.
+// A track's entry ends where the next one fades in; the last one plays out.
+
+/** Cues show up this long before a track or segment change. */
+export const CUE_LEAD_MS = 15000;
+
+/**
+ * @typedef {object} RideEntry
+ * @property {import("./tracks.js").Track} track
+ * @property {number} startMs
+ * @property {number} endMs
+ * @property {number} segmentIndex -1 without a plan or after its end
+ */
+
+/**
+ * @param {import("./tracks.js").Track[]} tracks in class order
+ * @param {import("./plans.js").Segment[]} [segments] the class plan, if any
+ * @param {number} [crossfadeMs]
+ * @returns {RideEntry[]}
+ */
+export function rideTimeline(tracks, segments = [], crossfadeMs = 0) {
+  const { startOffsets } = classTimeline(tracks, crossfadeMs);
+  return tracks.map((track, i) => {
+    const startMs = startOffsets[i];
+    const endMs = startMs + (i === tracks.length - 1 ? trimmedMs(track) : slotMs(track, crossfadeMs));
+    return {
+      track,
+      startMs,
+      endMs,
+      segmentIndex: segments.length ? segmentAt(segments, (startMs + endMs) / 2) : -1,
+    };
+  });
+}
+
+/**
+ * The curve a class was sorted with as a target over class time, on the
+ * scale of the sort metric (energy 0–1 or cadence in rpm).
+ * @param {import("./tracks.js").Track[]} tracks the class
+ * @param {import("./curves.js").CurveTemplate} template
+ * @param {object} options
+ * @param {Record<string, number>} options.params
+ * @param {{ valueOf: (track: object) => number | null }} options.metric
+ * @param {number} [options.crossfadeMs]
+ * @returns {(elapsedMs: number) => number | null}
+ */
+export function curveTarget(tracks, template, { params, metric, crossfadeMs = 0 }) {
+  const values = [...metricValues(tracks, metric).values()].filter((v) => v != null);
+  const { totalMs } = classTimeline(tracks, crossfadeMs);
+  if (!values.length || !totalMs) return () => null;
+  const lo = Math.min(...values);
+  const hi = Math.max(...values);
+  const ctx = { totalMin: totalMs / 60000, params };
+  return (elapsedMs) => lo + (hi - lo) * template.target(Math.min(1, Math.max(0, elapsedMs / totalMs)), ctx);
+}
+
+/**
+ * @typedef {object} RideTarget
+ * @property {number | null} energyMin
+ * @property {number | null} energyMax
+ * @property {number | null} cadenceMin rpm
+ * @property {number | null} cadenceMax
+ */
+
+/**
+ * @typedef {object} RideCue
+ * @property {"segment" | "track" | "end"} kind
+ * @property {number} inMs time until the change
+ * @property {import("./plans.js").Segment} [segment] the next segment
+ * @property {import("./tracks.js").Track} [track] the next track
+ */
+
+/**
+ * @param {RideEntry[]} timeline
+ * @param {number} elapsedMs
+ * @param {object} [options]
+ * @param {import("./plans.js").Segment[]} [options.segments] the class plan, if any
+ * @param {(elapsedMs: number) => number | null} [options.target] curve target
+ *   without a plan, see curveTarget
+ * @param {"energy" | "cadence"} [options.targetMetric] what the curve target measures
+ * @returns {object} current and next entry, class, track and segment times in
+ *   ms, the RideTarget and the RideCue (null while nothing is coming up)
+ */
+export function rideState(timeline, elapsedMs, { segments = [], target, targetMetric = "energy" } = {}) {
+  const totalMs = timeline.at(-1)?.endMs || 0;
+  const ms = Math.min(totalMs, Math.max(0, elapsedMs));
+  const finished = timeline.length > 0 && elapsedMs >= totalMs;
+  const index = finished ? timeline.length - 1 : timeline.findIndex((e) => ms < e.endMs);
+  const entry = timeline[index] || null;
+  const next = timeline[index + 1] || null;
+
+  let segment = null;
+  let nextSegment = null;
+  let segmentEndMs = null;
+  if (entry && entry.segmentIndex !== -1) {
+    segment = segments[entry.segmentIndex];
+    let last = index;
+    while (timeline[last + 1]?.segmentIndex === entry.segmentIndex) last++;
+    segmentEndMs = timeline[last].endMs;
+    const following = timeline[last + 1];
+    nextSegment = following && following.segmentIndex !== -1 ? segments[following.segmentIndex] : null;
+  }
+
+  const cadence = entry ? cadenceFromBpm(entry.track.bpm) : null;
+  const curveValue = !segment && target ? target(ms) : null;
+  const rideTarget = segment
+    ? { energyMin: segment.energyMin, energyMax: segment.energyMax, cadenceMin: segment.cadenceMin, cadenceMax: segment.cadenceMax }
+    : targetMetric === "cadence"
+      ? { energyMin: null, energyMax: null, cadenceMin: curveValue, cadenceMax: curveValue }
+      // Without a cadence target, ride on the beat of the current track
+      : { energyMin: curveValue, energyMax: curveValue, cadenceMin: cadence, cadenceMax: cadence };
+
+  let cue = null;
+  if (entry && !finished) {
+    const trackLeftMs = entry.endMs - ms;
+    if (nextSegment && segmentEndMs - ms <= CUE_LEAD_MS) cue = { kind: "segment", inMs: segmentEndMs - ms, segment: nextSegment };
+    else if (next && trackLeftMs <= CUE_LEAD_MS) cue = { kind: "track", inMs: trackLeftMs, track: next.track };
+    else if (!next && trackLeftMs <= CUE_LEAD_MS) cue = { kind: "end", inMs: trackLeftMs };
+  }
+
+  return {
+    index,
+    entry,
+    next,
+    finished,
+    elapsedMs: ms,
+    remainingMs: totalMs - ms,
+    totalMs,
+    trackElapsedMs: entry ? ms - entry.startMs : 0,
+    trackRemainingMs: entry ? entry.endMs - ms : 0,
+    segment,
+    segmentRemainingMs: segmentEndMs != null ? segmentEndMs - ms : null,
+    nextSegment,
+    cadence,
+    target: rideTarget,
+    cue,
+  };
+}
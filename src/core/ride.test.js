@@ -0,0 +1,71 @@
+import { describe, expect, it } from "vitest";
+import { CURVE_TEMPLATES } from "./curves.js";
+import { CUE_LEAD_MS, curveTarget, rideState, rideTimeline } from "./ride.js";
+import { SORT_METRICS } from "./sort.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const minute = 60000;
+const tracks = [
+  makeTrack("a", { duration_ms: 4 * minute, energy: 0.3, bpm: 90 }),
+  makeTrack("b", { duration_ms: 4 * minute, energy: 0.9, bpm: 170 }),
+  makeTrack("c", { duration_ms: 4 * minute, energy: 0.5, bpm: 120 }),
+];
+const segments = [
+  { label: "Warm-up", minutes: 5, energyMin: 0.2, energyMax: 0.4, cadenceMin: 80, cadenceMax: 95, note: "" },
+  { label: "Climb", minutes: 7, energyMin: 0.7, energyMax: 1, cadenceMin: null, cadenceMax: null, note: "" },
+];
+
+describe("rideTimeline", () => {
+  it("places tracks back to back in their segments", () => {
+    expect(rideTimeline(tracks, segments).map((e) => [e.startMs, e.endMs, e.segmentIndex])).toEqual([
+      [0, 4 * minute, 0], [4 * minute, 8 * minute, 1], [8 * minute, 12 * minute, 1],
+    ]);
+  });
+
+  it("ends a track where the next one fades in", () => {
+    const trimmed = [{ ...tracks[0], trimStartMs: 30000 }, ...tracks.slice(1)];
+    expect(rideTimeline(trimmed, [], 10000).map((e) => [e.startMs, e.endMs])).toEqual([
+      [0, 200000], [200000, 430000], [430000, 670000],
+    ]);
+  });
+});
+
+describe("rideState", () => {
+  const timeline = rideTimeline(tracks, segments);
+
+  it("reports the current and next track and the time left", () => {
+    const state = rideState(timeline, 5 * minute, { segments });
+    expect(state.entry.track.id).toBe("b");
+    expect(state.next.track.id).toBe("c");
+    expect(state).toMatchObject({ trackElapsedMs: minute, trackRemainingMs: 3 * minute, remainingMs: 7 * minute });
+  });
+
+  it("ends a segment with its last track and cues the next one", () => {
+    const state = rideState(timeline, 4 * minute - 5000, { segments });
+    expect(state.segment.label).toBe("Warm-up");
+    expect(state.target).toEqual({ energyMin: 0.2, energyMax: 0.4, cadenceMin: 80, cadenceMax: 95 });
+    expect(state.cue).toEqual({ kind: "segment", inMs: 5000, segment: segments[1] });
+    expect(rideState(timeline, 6 * minute, { segments }).segmentRemainingMs).toBe(6 * minute);
+  });
+
+  it("cues the next track and the end of class", () => {
+    const plain = rideTimeline(tracks);
+    expect(rideState(plain, 4 * minute - CUE_LEAD_MS, {}).cue).toMatchObject({ kind: "track", track: tracks[1] });
+    expect(rideState(plain, 4 * minute - CUE_LEAD_MS - 1, {}).cue).toBeNull();
+    expect(rideState(plain, 12 * minute - 3000, {}).cue).toEqual({ kind: "end", inMs: 3000 });
+  });
+
+  it("stops at the end of class", () => {
+    const state = rideState(timeline, 20 * minute, { segments });
+    expect(state).toMatchObject({ finished: true, index: 2, remainingMs: 0, cue: null });
+  });
+
+  it("takes the curve as the target without a plan", () => {
+    const plain = rideTimeline(tracks);
+    const target = curveTarget(tracks, CURVE_TEMPLATES.pyramid, { params: {}, metric: SORT_METRICS.energy });
+    const state = rideState(plain, 6 * minute, { target });
+    expect(state.target).toMatchObject({ cadenceMin: 85, cadenceMax: 85 });
+    expect(state.target.energyMin).toBeCloseTo(0.9);
+    expect(target(0)).toBeCloseTo(0.3);
+  });
+});
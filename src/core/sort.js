@@ -0,0 +1,295 @@
+import { defaultCurveParams } from "./curves.js";
+import { cadenceFromBpm } from "./cadence.js";
+import { harmonicSmooth } from "./harmonic.js";
+import { SPACING_MAX_MISS, spaceOut } from "./spacing.js";
+import { slotMs, trimmedMs } from "./timing.js";
+
+// ── Sort Metrics ──
+// The track value a curve is fitted to. Tracks without a value take the pool
+// median so they land mid-curve instead of at the very bottom.
+/** @type {Record<string, { label: string, valueOf: (track: object) => number | null }>} */
+export const SORT_METRICS = {
+  energy: { label: "Energy", valueOf: (t) => t.energy },
+  cadence: { label: "Kadenz", valueOf: (t) => cadenceFromBpm(t.bpm) },
+};
+
+/**
+ * The metric value of every track, with gaps filled by the pool median.
+ * @param {object[]} tracks
+ * @param {{ valueOf: (track: object) => number | null }} metric
+ * @returns {Map<object, number>}
+ */
+export function metricValues(tracks, metric) {
+  const raw = tracks.map((t) => metric.valueOf(t));
+  const present = raw.filter((v) => v != null).sort((a, b) => a - b);
+  const fill = present.length ? present[Math.floor(present.length / 2)] : 0;
+  return new Map(tracks.map((t, i) => [t, raw[i] ?? fill]));
+}
+
+// ── Curve Sort ──
+// The curve is fitted to elapsed class time, not to track index: each track is
+// judged by the target at its midpoint in minutes, weighted by the class time
+// it takes (see timing.js). Tracks without a duration count as one unit so
+// index-only data still sorts.
+function trackWeight(track, allTimed, crossfadeMs) {
+  return allTimed ? slotMs(track, crossfadeMs) : 1;
+}
+// ── Pins ──
+// A pin fixes a track at the start, the end, an absolute position (1-based)
+// or the slot closest to a given class minute. Sorters arrange only the free
+// tracks and lay them around the pinned ones with placePinned.
+export const PIN_LABELS = { start: "Anfang", end: "Ende", position: "Pos.", minute: "Min." };
+
+/**
+ * @typedef {object} Pin
+ * @property {"start" | "end" | "position" | "minute"} at
+ * @property {number} [value] 1-based position or class minute
+ */
+
+/**
+ * Short display label of a pin, e.g. "Min. 20".
+ * @param {Pin | null} pin
+ * @returns {string}
+ */
+export function pinLabel(pin) {
+  if (!pin) return "";
+  return pin.at === "start" || pin.at === "end" ? PIN_LABELS[pin.at] : `${PIN_LABELS[pin.at]} ${pin.value}`;
+}
+
+/**
+ * Lays the free tracks, in order, around the pinned ones.
+ * @param {object[]} free unpinned tracks in class order
+ * @param {object[]} pinned tracks with an entry in `pins`
+ * @param {Record<string, Pin>} pins keyed by track ID
+ * @param {number} [crossfadeMs] for the class clock of minute pins
+ * @returns {object[]} the full class order
+ */
+export function placePinned(free, pinned, pins, crossfadeMs = 0) {
+  if (!pinned.length) return free;
+  const n = free.length + pinned.length;
+  const slots = new Array(n).fill(null);
+  const claim = (track, index) => {
+    // Clashing pins take the nearest open slot
+    for (let d = 0; d < n; d++) {
+      for (const i of [index + d, index - d]) {
+        if (i >= 0 && i < n && !slots[i]) { slots[i] = track; return; }
+      }
+    }
+  };
+  const byAt = (at) => pinned.filter((t) => pins[t.id].at === at);
+  byAt("start").forEach((t, k) => claim(t, k));
+  byAt("end").reverse().forEach((t, k) => claim(t, n - 1 - k));
+  byAt("position")
+    .sort((a, b) => pins[a.id].value - pins[b.id].value)
+    .forEach((t) => claim(t, Math.min(n, Math.max(1, pins[t.id].value)) - 1));
+
+  // Fill the open slots in order, dropping each minute pin in as soon as
+  // the class clock reaches it
+  const minutePins = byAt("minute").sort((a, b) => pins[a.id].value - pins[b.id].value);
+  const queue = [...free];
+  let elapsed = 0;
+  for (let i = 0; i < n; i++) {
+    if (!slots[i]) {
+      const dueAt = minutePins.length ? pins[minutePins[0].id].value * 60000 : Infinity;
+      const nextHalf = queue.length ? slotMs(queue[0], crossfadeMs) / 2 : 0;
+      slots[i] = !queue.length || elapsed + nextHalf >= dueAt ? minutePins.shift() : queue.shift();
+    }
+    elapsed += slotMs(slots[i], crossfadeMs);
+  }
+  return slots;
+}
+
+// Assign the k-th lowest value to the k-th lowest target slot
+function rankMatch(slots, byValue) {
+  const ranked = [...slots].sort((a, b) => a.target - b.target || a.i - b.i);
+  const result = new Array(slots.length);
+  ranked.forEach((slot, rank) => { result[slot.i] = byValue[rank]; });
+  return result;
+}
+
+/**
+ * Orders tracks so their values follow an energy curve over class time.
+ * @param {object[]} tracks
+ * @param {import("./curves.js").CurveTemplate} template
+ * @param {object} [options]
+ * @param {Record<string, number>} [options.params] template params
+ * @param {{ valueOf: (track: object) => number | null }} [options.metric] a SORT_METRICS entry
+ * @param {boolean} [options.harmonic] trade a little fit for clean key changes
+ * @param {Record<string, Pin>} [options.pins] keyed by track ID
+ * @param {number} [options.crossfadeMs] overlap between tracks
+ * @param {import("./spacing.js").SpacingRule} [options.spacing] keep artists and albums apart
+ * @returns {object[]} a new order of the same tracks
+ */
+export function curveSort(tracks, template, {
+  params = defaultCurveParams(template), metric = SORT_METRICS.energy, harmonic = false, pins = {}, crossfadeMs = 0,
+  spacing = null,
+} = {}) {
+  if (!tracks.length) return [];
+  const n = tracks.length;
+  const allTimed = tracks.every((t) => trimmedMs(t) > 0);
+  const totalUnits = tracks.reduce((s, t) => s + trackWeight(t, allTimed, crossfadeMs), 0);
+  const ctx = { totalMin: allTimed ? totalUnits / 60000 : n, params };
+  const values = metricValues(tracks, metric);
+  const pinned = tracks.filter((t) => pins[t.id]);
+  const free = tracks.filter((t) => !pins[t.id]);
+  const byValue = [...tracks].sort((a, b) => values.get(a) - values.get(b));
+  const lo = values.get(byValue[0]);
+  const hi = values.get(byValue[n - 1]);
+  const freeByValue = byValue.filter((t) => !pins[t.id]);
+  const place = (freeOrder) => placePinned(freeOrder, pinned, pins, crossfadeMs);
+  if (!free.length) return place([]);
+
+  // Midpoint targets of every position for a given full order
+  const slotsFor = (order) => {
+    let elapsed = 0;
+    return order.map((track, i) => {
+      const w = trackWeight(track, allTimed, crossfadeMs);
+      const slot = { i, weight: w, target: template.target((elapsed + w / 2) / totalUnits, ctx) };
+      elapsed += w;
+      return slot;
+    });
+  };
+  const cost = (freeOrder) => {
+    const order = place(freeOrder);
+    return slotsFor(order).reduce((sum, slot) => {
+      const diff = values.get(order[slot.i]) - (lo + (hi - lo) * slot.target);
+      return sum + slot.weight * diff * diff;
+    }, 0);
+  };
+  // Targets of the slots left open by the pins, renumbered for rankMatch
+  const freeSlots = (order) => slotsFor(order)
+    .filter((slot) => !pins[order[slot.i].id])
+    .map((slot, k) => ({ ...slot, i: k }));
+
+  // Slot times depend on which tracks precede them, so alternate between
+  // matching and re-timing until the order stops changing.
+  let order = rankMatch(
+    freeSlots(place(free)).map((slot) => ({ ...slot, target: template.target((slot.i + 0.5) / free.length, ctx) })),
+    freeByValue,
+  );
+  let best = order;
+  let bestCost = cost(order);
+  for (let iter = 0; iter < 10; iter++) {
+    const next = rankMatch(freeSlots(place(order)), freeByValue);
+    if (next.every((t, i) => t === order[i])) break;
+    order = next;
+    const c = cost(order);
+    if (c < bestCost) { best = order; bestCost = c; }
+  }
+
+  // Polish with nearby swaps, which fixes most mismatches between long and
+  // short tracks that rank matching alone cannot see.
+  best = [...best];
+  const m = best.length;
+  for (let pass = 0, improved = true; pass < 4 && improved; pass++) {
+    improved = false;
+    for (let i = 0; i < m; i++) {
+      for (let j = i + 1; j < Math.min(m, i + 6); j++) {
+        [best[i], best[j]] = [best[j], best[i]];
+        const c = cost(best);
+        if (c < bestCost - 1e-9) {
+          bestCost = c;
+          improved = true;
+        } else {
+          [best[i], best[j]] = [best[j], best[i]];
+        }
+      }
+    }
+  }
+  // Optional: trade up to a tenth of the value range for clean key changes,
+  // judged on the full class so clashes next to pinned tracks count; then
+  // spread out repeated artists and albums at the least cost to the fit
+  const fitted = place(best);
+  const placed = harmonic ? harmonicSmooth(fitted, values, (hi - lo) * 0.1, { fixed: new Set(pinned) }) : fitted;
+  // Targets stay those of the placed order while spaceOut swaps, which is
+  // close enough since a swap only shifts the positions between its tracks
+  const slots = slotsFor(placed);
+  const weights = new Map(placed.map((t) => [t, trackWeight(t, allTimed, crossfadeMs)]));
+  return spaceOut(placed, spacing, {
+    slotCost: (track, i) => {
+      const diff = values.get(track) - (lo + (hi - lo) * slots[i].target);
+      return weights.get(track) * diff * diff;
+    },
+    maxSwapCost: 2 * (totalUnits / n) * ((hi - lo) * SPACING_MAX_MISS) ** 2,
+    fixed: new Set(pinned),
+    anchors: new Set(pinned.filter((t) => pins[t.id].at === "minute")),
+    crossfadeMs,
+  });
+}
+
+// ── Duration Selection ──
+// Picks a subset of the pool that fills targetMs ± toleranceMs. Walking through
+// the class, each step takes the unused track whose energy is closest to the
+// curve at that point (on the pool's value scale) and still fits the window.
+// The chosen tracks are then ordered with curveSort. Pinned tracks are always
+// part of the class; the walk only spends the time they leave over.
+/**
+ * Chooses and orders the tracks for a class of a given length.
+ * @param {object[]} tracks the pool
+ * @param {import("./curves.js").CurveTemplate} template
+ * @param {object} options the curveSort options plus the class length
+ * @param {number} options.targetMs
+ * @param {number} options.toleranceMs
+ * @returns {{ selected: object[], unused: object[] }} unused tracks keep pool order
+ */
+export function selectForDuration(tracks, template, {
+  targetMs, toleranceMs, params = defaultCurveParams(template), metric = SORT_METRICS.energy, harmonic = false,
+  pins = {}, crossfadeMs = 0, spacing = null,
+}) {
+  const length = (t) => slotMs(t, crossfadeMs);
+  const pool = tracks.filter((t) => trimmedMs(t) > 0 || pins[t.id]);
+  if (!pool.length) return { selected: [], unused: tracks };
+  const values = metricValues(pool, metric);
+  const lo = Math.min(...values.values());
+  const hi = Math.max(...values.values());
+  const ctx = { totalMin: targetMs / 60000, params };
+  const pinned = pool.filter((t) => pins[t.id]);
+  const pinnedMs = pinned.reduce((s, t) => s + length(t), 0);
+  const freeMs = Math.max(1, targetMs - pinnedMs);
+  const minMs = targetMs - toleranceMs - pinnedMs;
+  const maxMs = targetMs + toleranceMs - pinnedMs;
+
+  const selected = [];
+  let remaining = pool.filter((t) => !pins[t.id]);
+  let elapsed = 0;
+  while (elapsed < minMs && remaining.length) {
+    let pick = null;
+    let pickScore = Infinity;
+    for (const track of remaining) {
+      if (elapsed + length(track) > maxMs) continue;
+      const x = Math.min(1, (elapsed + length(track) / 2) / freeMs);
+      const score = Math.abs(values.get(track) - (lo + (hi - lo) * template.target(x, ctx)));
+      if (score < pickScore) { pick = track; pickScore = score; }
+    }
+    if (!pick) break;
+    selected.push(pick);
+    remaining = remaining.filter((t) => t !== pick);
+    elapsed += length(pick);
+  }
+
+  // Nothing fit the remaining gap: trade one chosen track for an unused one
+  // of similar energy that lands the total inside the window.
+  if (elapsed < minMs) {
+    let swap = null;
+    let swapScore = Infinity;
+    selected.forEach((s, si) => {
+      for (const u of remaining) {
+        const total = elapsed - length(s) + length(u);
+        if (total < minMs || total > maxMs) continue;
+        const score = Math.abs(values.get(s) - values.get(u));
+        if (score < swapScore) { swap = { si, u }; swapScore = score; }
+      }
+    });
+    if (swap) {
+      remaining = remaining.filter((t) => t !== swap.u).concat(selected[swap.si]);
+      selected[swap.si] = swap.u;
+    }
+  }
+
+  // Keep the leftovers in their original playlist order
+  const chosen = new Set([...selected, ...pinned]);
+  return {
+    selected: curveSort([...pinned, ...selected], template, { params, metric, harmonic, pins, crossfadeMs, spacing }),
+    unused: tracks.filter((t) => !chosen.has(t)),
+  };
+}
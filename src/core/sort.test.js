@@ -0,0 +1,176 @@
+import { describe, expect, it } from "vitest";
+import { CURVE_TEMPLATES, defaultCurveParams } from "./curves.js";
+import { SORT_METRICS, curveSort, metricValues, pinLabel, placePinned, selectForDuration } from "./sort.js";
+import { spacingConflicts } from "./spacing.js";
+import { classTimeline } from "./timing.js";
+import { makePool, makeTrack, totalMs } from "./__fixtures__/tracks.js";
+
+const ids = (tracks) => tracks.map((t) => t.id);
+
+describe("metricValues", () => {
+  it("fills missing values with the pool median", () => {
+    const tracks = [0.2, 0.4, null, 0.9].map((energy, i) => makeTrack(`m${i}`, { energy }));
+    const values = metricValues(tracks, SORT_METRICS.energy);
+    expect(values.get(tracks[2])).toBe(0.4);
+  });
+
+  it("reads cadence folded into the spinning range", () => {
+    const track = makeTrack("c", { bpm: 170 });
+    expect(metricValues([track], SORT_METRICS.cadence).get(track)).toBe(85);
+  });
+});
+
+describe("curveSort", () => {
+  const pool = makePool(20);
+
+  it("returns every track exactly once", () => {
+    const sorted = curveSort(pool, CURVE_TEMPLATES.pyramid);
+    expect([...ids(sorted)].sort()).toEqual([...ids(pool)].sort());
+  });
+
+  it("puts the high-energy tracks in the middle of a pyramid", () => {
+    const sorted = curveSort(pool, CURVE_TEMPLATES.pyramid);
+    const avg = (list) => list.reduce((s, t) => s + t.energy, 0) / list.length;
+    const third = Math.floor(sorted.length / 3);
+    const middle = avg(sorted.slice(third, -third));
+    expect(middle).toBeGreaterThan(avg(sorted.slice(0, third)));
+    expect(middle).toBeGreaterThan(avg(sorted.slice(-third)));
+  });
+
+  it("orders a climb from lowest to highest value", () => {
+    const tracks = [0.9, 0.1, 0.5, 0.3, 0.7].map((energy, i) => makeTrack(`c${i}`, { energy }));
+    expect(curveSort(tracks, CURVE_TEMPLATES.climb).map((t) => t.energy)).toEqual([0.1, 0.3, 0.5, 0.7, 0.9]);
+  });
+
+  it("keeps pinned tracks in their slots", () => {
+    const pins = {
+      [pool[3].id]: { at: "start" },
+      [pool[5].id]: { at: "end" },
+      [pool[7].id]: { at: "position", value: 4 },
+    };
+    const sorted = curveSort(pool, CURVE_TEMPLATES.climb, { pins });
+    expect(sorted[0]).toBe(pool[3]);
+    expect(sorted.at(-1)).toBe(pool[5]);
+    expect(sorted[3]).toBe(pool[7]);
+    expect(sorted).toHaveLength(pool.length);
+  });
+
+  it("keeps an artist apart while staying close to the curve", () => {
+    const tracks = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6]
+      .map((energy, i) => makeTrack(`a${i}`, { energy, artist: i === 2 || i === 3 ? "Same" : `Artist ${i}` }));
+    const spacing = { artistTracks: 1, artistMinutes: 0, albumTracks: 0, albumMinutes: 0 };
+    const sorted = curveSort(tracks, CURVE_TEMPLATES.climb, { spacing });
+    expect(spacingConflicts(sorted, spacing)).toEqual([]);
+    expect(ids(sorted)).toEqual(["a0", "a1", "a2", "a4", "a3", "a5"]);
+  });
+
+  describe("with a spacing rule", () => {
+    const template = CURVE_TEMPLATES.pyramid;
+    const spacing = { artistTracks: 3, artistMinutes: 0, albumTracks: 0, albumMinutes: 0 };
+    const repeating = makePool(24).map((t, i) => ({ ...t, artist: `Artist ${i % 10}` }));
+    // The weighted squared error curveSort minimizes, on the pool's value scale
+    const curveCost = (order) => {
+      const { startOffsets, totalMs: total } = classTimeline(order);
+      const ctx = { totalMin: total / 60000, params: defaultCurveParams(template) };
+      const energies = order.map((t) => t.energy);
+      const lo = Math.min(...energies);
+      const hi = Math.max(...energies);
+      return order.reduce((sum, t, i) => {
+        const diff = t.energy - (lo + (hi - lo) * template.target((startOffsets[i] + t.duration_ms / 2) / total, ctx));
+        return sum + t.duration_ms * diff * diff;
+      }, 0);
+    };
+
+    it("clears repeats at little cost to the curve", () => {
+      const plain = curveSort(repeating, template);
+      const spaced = curveSort(repeating, template, { spacing });
+      expect(spacingConflicts(plain, spacing).length).toBeGreaterThan(0);
+      expect(spacingConflicts(spaced, spacing)).toEqual([]);
+      expect(curveCost(spaced)).toBeLessThan(curveCost(plain) * 1.15);
+    });
+
+    it("keeps minute pins on time", () => {
+      const pins = { [repeating[5].id]: { at: "minute", value: 40 } };
+      const startOf = (order) => classTimeline(order).startOffsets[order.indexOf(repeating[5])];
+      const plain = curveSort(repeating, template, { pins });
+      const spaced = curveSort(repeating, template, { pins, spacing });
+      expect(Math.abs(startOf(spaced) - startOf(plain))).toBeLessThanOrEqual(10000);
+      expect(spacingConflicts(spaced, spacing).length).toBeLessThan(spacingConflicts(plain, spacing).length);
+    });
+  });
+
+  it("smooths key changes next to a pinned track", () => {
+    const tracks = [
+      makeTrack("b", { energy: 0.1, key: 11, mode: 1 }), // 1B
+      makeTrack("g", { energy: 0.12, key: 7, mode: 1 }), // 9B
+      makeTrack("fs", { energy: 0.5, key: 6, mode: 1 }), // 2B
+      makeTrack("cs", { energy: 0.9, key: 1, mode: 1 }), // 3B
+    ];
+    const pins = { fs: { at: "position", value: 3 } };
+    expect(ids(curveSort(tracks, CURVE_TEMPLATES.climb, { pins }))).toEqual(["b", "g", "fs", "cs"]);
+    expect(ids(curveSort(tracks, CURVE_TEMPLATES.climb, { pins, harmonic: true }))).toEqual(["g", "b", "fs", "cs"]);
+  });
+
+  it("returns an empty order for an empty pool", () => {
+    expect(curveSort([], CURVE_TEMPLATES.pyramid)).toEqual([]);
+  });
+});
+
+describe("placePinned", () => {
+  it("drops a minute pin in once the class clock reaches it", () => {
+    const free = ["a", "b", "c", "d"].map((id) => makeTrack(id, { duration_ms: 4 * 60000 }));
+    const pinned = makeTrack("p", { duration_ms: 4 * 60000 });
+    const order = placePinned(free, [pinned], { p: { at: "minute", value: 8 } });
+    expect(ids(order)).toEqual(["a", "b", "p", "c", "d"]);
+  });
+
+  it("moves clashing pins to the nearest open slot", () => {
+    const free = [makeTrack("a"), makeTrack("b")];
+    const pinned = [makeTrack("p"), makeTrack("q")];
+    const pins = { p: { at: "start" }, q: { at: "position", value: 1 } };
+    expect(ids(placePinned(free, pinned, pins))).toEqual(["p", "q", "a", "b"]);
+  });
+});
+
+describe("pinLabel", () => {
+  it("includes the value of position and minute pins", () => {
+    expect(pinLabel({ at: "start" })).toBe("Anfang");
+    expect(pinLabel({ at: "minute", value: 20 })).toBe("Min. 20");
+    expect(pinLabel(null)).toBe("");
+  });
+});
+
+describe("selectForDuration", () => {
+  const pool = makePool(30);
+
+  it("fills the target length within the tolerance", () => {
+    const targetMs = 45 * 60000;
+    const toleranceMs = 2 * 60000;
+    const { selected, unused } = selectForDuration(pool, CURVE_TEMPLATES.pyramid, { targetMs, toleranceMs });
+    expect(Math.abs(totalMs(selected) - targetMs)).toBeLessThanOrEqual(toleranceMs);
+    expect(selected.length + unused.length).toBe(pool.length);
+  });
+
+  it("measures the target on the crossfaded timeline", () => {
+    const targetMs = 45 * 60000;
+    const toleranceMs = 2 * 60000;
+    const crossfadeMs = 8000;
+    const { selected } = selectForDuration(pool, CURVE_TEMPLATES.pyramid, { targetMs, toleranceMs, crossfadeMs });
+    expect(Math.abs(classTimeline(selected, crossfadeMs).totalMs - targetMs)).toBeLessThanOrEqual(toleranceMs);
+    expect(totalMs(selected)).toBeGreaterThan(classTimeline(selected, crossfadeMs).totalMs);
+  });
+
+  it("always keeps pinned tracks", () => {
+    const pins = { [pool[0].id]: { at: "end" } };
+    const { selected } = selectForDuration(pool, CURVE_TEMPLATES.hill, {
+      targetMs: 20 * 60000, toleranceMs: 60000, pins,
+    });
+    expect(selected.at(-1)).toBe(pool[0]);
+  });
+
+  it("keeps the leftovers in pool order", () => {
+    const { unused } = selectForDuration(pool, CURVE_TEMPLATES.climb, { targetMs: 30 * 60000, toleranceMs: 60000 });
+    const positions = unused.map((t) => pool.indexOf(t));
+    expect(positions).toEqual([...positions].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,250 @@
+import { trackArtists } from "./filters.js";
+import { classTimeline, slotMs, trimmedMs } from "./timing.js";
+
+// ── Artist and Album Spacing ──
+// Tracks of similar energy often share an artist or album, so the sorters
+// would put them side by side. A spacing rule keeps them apart by a number
+// of tracks and/or minutes (start to start, on the class timeline); 0 turns
+// a limit off; minute limits need durations on every track and are skipped
+// without them. Sorters first build their order, then spaceOut swaps each
+// offending track with the free track that clears the conflict at the least
+// cost to the curve. What cannot be cleared is reported by spacingConflicts.
+
+/**
+ * @typedef {object} SpacingRule
+ * @property {number} artistTracks same artist again only after this many tracks
+ * @property {number} artistMinutes ... and this many minutes
+ * @property {number} albumTracks
+ * @property {number} albumMinutes
+ */
+
+/** @type {SpacingRule} */
+export const DEFAULT_SPACING = { artistTracks: 3, artistMinutes: 0, albumTracks: 0, albumMinutes: 0 };
+
+/**
+ * Whether a rule limits anything.
+ * @param {SpacingRule | null | undefined} rule
+ * @returns {boolean}
+ */
+export function spacingActive(rule) {
+  return !!rule && (rule.artistTracks > 0 || rule.artistMinutes > 0 || rule.albumTracks > 0 || rule.albumMinutes > 0);
+}
+
+/**
+ * Album identity: the Spotify album ID, else the album name with the first
+ * artist, so two compilations called "Greatest Hits" stay apart.
+ * @param {{ albumId?: string | null, album?: string | null, artist?: string }} track
+ * @returns {string | null} null without album data
+ */
+export function albumKey(track) {
+  if (track.albumId) return `id:${track.albumId}`;
+  const name = String(track.album || "").trim().toLowerCase();
+  return name ? `name:${name}:${trackArtists(track)[0] || ""}` : null;
+}
+
+// Minute limits only hold on a class clock, see classChart's `timed`
+const timedRule = (rule, tracks) => (tracks.every((t) => trimmedMs(t) > 0)
+  ? rule
+  : { ...rule, artistMinutes: 0, albumMinutes: 0 });
+
+// Whether a track `back` positions and `gapMs` (start to start) earlier is
+// still inside a limit
+const within = (back, gapMs, tracks, minutes) => (tracks > 0 && back <= tracks)
+  || (minutes > 0 && gapMs < minutes * 60000);
+
+// Artists and album of every track, looked up once per track
+function spacingKeys() {
+  const cache = new Map();
+  return (track) => {
+    if (!cache.has(track)) cache.set(track, { artists: trackArtists(track), album: albumKey(track) });
+    return cache.get(track);
+  };
+}
+
+// The closest earlier track that order[k] repeats too soon, or null
+function conflictAt(order, starts, k, rule, keys) {
+  const { artists, album } = keys(order[k]);
+  for (let j = k - 1; j >= 0; j--) {
+    const gapMs = starts[k] - starts[j];
+    const artistWindow = within(k - j, gapMs, rule.artistTracks, rule.artistMinutes);
+    const albumWindow = within(k - j, gapMs, rule.albumTracks, rule.albumMinutes);
+    if (!artistWindow && !albumWindow) return null;
+    const other = keys(order[j]);
+    if (artistWindow && other.artists.some((a) => artists.includes(a))) return { index: k, earlier: j, kind: "artist" };
+    if (albumWindow && album && album === other.album) return { index: k, earlier: j, kind: "album" };
+  }
+  return null;
+}
+
+/**
+ * @typedef {object} SpacingConflict
+ * @property {number} index the track that comes back too soon
+ * @property {number} earlier position of the track it repeats
+ * @property {"artist" | "album"} kind
+ */
+
+/**
+ * Every track that repeats an artist or album too soon, at most once per
+ * track, against the closest repeat.
+ * @param {object[]} order tracks in class order
+ * @param {SpacingRule | null} spacing
+ * @param {number} [crossfadeMs]
+ * @returns {SpacingConflict[]}
+ */
+export function spacingConflicts(order, spacing, crossfadeMs = 0) {
+  const rule = spacing && timedRule(spacing, order);
+  if (!spacingActive(rule)) return [];
+  const { startOffsets } = classTimeline(order, crossfadeMs);
+  const keys = spacingKeys();
+  return order.map((_, k) => conflictAt(order, startOffsets, k, rule, keys)).filter(Boolean);
+}
+
+/**
+ * Whether a track would break the rule as the next one after `order`; lets
+ * pickers prefer tracks that keep the spacing.
+ * @param {object[]} order tracks so far
+ * @param {object} track
+ * @param {SpacingRule | null} spacing
+ * @param {number} [crossfadeMs]
+ * @returns {boolean}
+ */
+export function comesTooSoon(order, track, spacing, crossfadeMs = 0) {
+  const rule = spacing && timedRule(spacing, [...order, track]);
+  if (!spacingActive(rule)) return false;
+  const artists = trackArtists(track);
+  const album = albumKey(track);
+  let gapMs = 0;
+  for (let back = 1; back <= order.length; back++) {
+    const other = order[order.length - back];
+    gapMs += slotMs(other, crossfadeMs);
+    const artistWindow = within(back, gapMs, rule.artistTracks, rule.artistMinutes);
+    const albumWindow = within(back, gapMs, rule.albumTracks, rule.albumMinutes);
+    if (!artistWindow && !albumWindow) return false;
+    if (artistWindow && trackArtists(other).some((a) => artists.includes(a))) return true;
+    if (albumWindow && album && album === albumKey(other)) return true;
+  }
+  return false;
+}
+
+/**
+ * How far off its target, as a share of the sort value range, a spacing swap
+ * may put each of its two tracks; sorters turn this into spaceOut's
+ * maxSwapCost on their own cost scale.
+ */
+export const SPACING_MAX_MISS = 0.25;
+
+// Swaps tried per conflict, cheapest first
+const MAX_SWAP_CANDIDATES = 30;
+// How far a swap may move the start of a minute-pinned track
+const ANCHOR_SLACK_MS = 10000;
+
+/**
+ * Swaps offending tracks with other free tracks until the rule holds or no
+ * swap clears a conflict. Each conflict takes the swap that costs the curve
+ * least and still lowers the number of conflicts; conflicts no affordable
+ * swap clears stay put for spacingConflicts to report.
+ * @param {object[]} order tracks in class order
+ * @param {SpacingRule | null} spacing
+ * @param {object} [options]
+ * @param {(track: object, index: number) => number} [options.slotCost] how far a
+ *   track at a position of `order` misses the curve there, e.g. the sorter's
+ *   weighted squared error; without it the nearest swaps win. Positions keep
+ *   the targets of `order`, so once tracks of different lengths swap, the
+ *   cost of the positions between them is an approximation.
+ * @param {number} [options.maxSwapCost] the most a single swap may add to
+ *   the summed slotCost
+ * @param {Set<object>} [options.fixed] tracks that keep their position (pins)
+ * @param {Set<object>} [options.anchors] fixed tracks that also keep their
+ *   start time (minute pins)
+ * @param {number} [options.crossfadeMs]
+ * @returns {object[]} a new order
+ */
+export function spaceOut(order, spacing, {
+  slotCost = () => 0, maxSwapCost = Infinity, fixed = new Set(), anchors = new Set(), crossfadeMs = 0,
+} = {}) {
+  const result = [...order];
+  const rule = spacing && timedRule(spacing, result);
+  if (!spacingActive(rule)) return result;
+  const n = result.length;
+  const keys = spacingKeys();
+  const length = (t) => slotMs(t, crossfadeMs);
+  const starts = classTimeline(result, crossfadeMs).startOffsets;
+  const reachTracks = Math.max(rule.artistTracks, rule.albumTracks);
+  const reachMinutes = Math.max(rule.artistMinutes, rule.albumMinutes);
+  const anchored = result.flatMap((t, i) => (anchors.has(t) ? [{ i, startMs: starts[i] }] : []));
+  const costHere = result.map((t, i) => slotCost(t, i));
+
+  // Swapping i < j shifts the starts in between by the difference in length
+  const swap = (i, j) => {
+    const shift = length(result[j]) - length(result[i]);
+    [result[i], result[j]] = [result[j], result[i]];
+    [costHere[i], costHere[j]] = [slotCost(result[i], i), slotCost(result[j], j)];
+    for (let k = i + 1; k <= j; k++) starts[k] += shift;
+  };
+  // Last position whose look-back still reaches position p
+  const reachOf = (p) => {
+    let k = p;
+    while (k + 1 < n && within(k + 1 - p, starts[k + 1] - starts[p], reachTracks, reachMinutes)) k++;
+    return k;
+  };
+  // Positions whose conflicts a swap of i < j can change: those that look
+  // back to i or j. Starts in between shift together, so gaps among them
+  // hold. Called before and after the swap, as the windows move with it.
+  const touched = (i, j, into) => {
+    for (const p of [i, j]) for (let k = p, to = reachOf(p); k <= to; k++) into.add(k);
+    return into;
+  };
+  const countAt = (positions) => {
+    let count = 0;
+    for (const k of positions) if (conflictAt(result, starts, k, rule, keys)) count++;
+    return count;
+  };
+  // Conflicts a swap removes (positive), or null when it breaks a minute pin
+  const gain = (i, j) => {
+    const positions = touched(i, j, new Set());
+    swap(i, j);
+    touched(i, j, positions);
+    const drifted = anchored.some((a) => Math.abs(starts[a.i] - a.startMs) > ANCHOR_SLACK_MS);
+    const after = countAt(positions);
+    swap(i, j);
+    return drifted ? null : countAt(positions) - after;
+  };
+  const swapCost = (a, b) => slotCost(result[a], b) + slotCost(result[b], a) - costHere[a] - costHere[b];
+
+  // Later passes pick up conflicts that earlier swaps moved around; a track
+  // no swap could help once is not tried again
+  const stuck = new Set();
+  for (let pass = 0, changed = true; pass < 3 && changed; pass++) {
+    changed = false;
+    for (let k = 0; k < n; k++) {
+      if (stuck.has(result[k])) continue;
+      const conflict = conflictAt(result, starts, k, rule, keys);
+      if (!conflict) continue;
+      // Either track of the pair may move, unless it is pinned; only the
+      // cheapest swaps are kept, in order
+      const candidates = [];
+      const before = (a, b) => a.cost - b.cost || (a.j - a.i) - (b.j - b.i);
+      for (const moving of [k, conflict.earlier]) {
+        if (fixed.has(result[moving])) continue;
+        for (let j = 0; j < n; j++) {
+          if (j === moving || fixed.has(result[j])) continue;
+          const candidate = { i: Math.min(moving, j), j: Math.max(moving, j), cost: swapCost(moving, j) };
+          if (candidate.cost > maxSwapCost) continue;
+          if (candidates.length === MAX_SWAP_CANDIDATES && before(candidate, candidates.at(-1)) >= 0) continue;
+          let at = candidates.length;
+          while (at > 0 && before(candidate, candidates[at - 1]) < 0) at--;
+          candidates.splice(at, 0, candidate);
+          if (candidates.length > MAX_SWAP_CANDIDATES) candidates.pop();
+        }
+      }
+      const best = candidates.find((c) => gain(c.i, c.j) > 0);
+      if (best) {
+        swap(best.i, best.j);
+        changed = true;
+      } else {
+        stuck.add(result[k]);
+      }
+    }
+  }
+  return result;
+}
@@ -0,0 +1,100 @@
+import { describe, expect, it } from "vitest";
+import { albumKey, comesTooSoon, DEFAULT_SPACING, spaceOut, spacingActive, spacingConflicts } from "./spacing.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const minute = 60000;
+const rule = (fields) => ({ artistTracks: 0, artistMinutes: 0, albumTracks: 0, albumMinutes: 0, ...fields });
+const byArtist = (...artists) => artists.map((artist, i) => makeTrack(`t${i}`, { artist, energy: i / 10 }));
+
+describe("spacingActive", () => {
+  it("needs at least one limit", () => {
+    expect(spacingActive(DEFAULT_SPACING)).toBe(true);
+    expect(spacingActive(rule())).toBe(false);
+    expect(spacingActive(null)).toBe(false);
+  });
+});
+
+describe("albumKey", () => {
+  it("prefers the album ID and keeps same-named albums of different artists apart", () => {
+    expect(albumKey(makeTrack("a", { albumId: "x", album: "Hits" }))).toBe("id:x");
+    expect(albumKey(makeTrack("a", { album: "Hits", artist: "A, B" })))
+      .not.toBe(albumKey(makeTrack("b", { album: "hits", artist: "C" })));
+    expect(albumKey(makeTrack("a"))).toBeNull();
+  });
+});
+
+describe("spacingConflicts", () => {
+  it("flags an artist back within the track window, against the closest repeat", () => {
+    const order = byArtist("A", "B", "A, C", "D", "C");
+    expect(spacingConflicts(order, rule({ artistTracks: 2 }))).toEqual([
+      { index: 2, earlier: 0, kind: "artist" },
+      { index: 4, earlier: 2, kind: "artist" },
+    ]);
+    expect(spacingConflicts(order, rule({ artistTracks: 1 }))).toEqual([]);
+  });
+
+  it("measures minute windows start to start on the class clock", () => {
+    const order = byArtist("A", "B", "A").map((t) => ({ ...t, duration_ms: 3 * minute }));
+    expect(spacingConflicts(order, rule({ artistMinutes: 7 }))).toHaveLength(1);
+    expect(spacingConflicts(order, rule({ artistMinutes: 6 }))).toEqual([]);
+    expect(spacingConflicts(order, rule({ artistMinutes: 6 }), 20000)).toHaveLength(1);
+  });
+
+  it("skips minute windows without durations", () => {
+    const order = byArtist("A", "B", "A").map((t) => ({ ...t, duration_ms: null }));
+    expect(spacingConflicts(order, rule({ artistMinutes: 60 }))).toEqual([]);
+  });
+
+  it("flags albums under their own limit", () => {
+    const order = ["A", "B"].map((artist, i) => makeTrack(`t${i}`, { artist, albumId: "comp" }));
+    expect(spacingConflicts(order, rule({ albumTracks: 1 }))).toEqual([{ index: 1, earlier: 0, kind: "album" }]);
+    expect(spacingConflicts(order, rule({ artistTracks: 5 }))).toEqual([]);
+  });
+});
+
+describe("comesTooSoon", () => {
+  it("checks a track as the next one of an order", () => {
+    const order = byArtist("A", "B");
+    expect(comesTooSoon(order, makeTrack("x", { artist: "A" }), rule({ artistTracks: 2 }))).toBe(true);
+    expect(comesTooSoon(order, makeTrack("x", { artist: "A" }), rule({ artistTracks: 1 }))).toBe(false);
+    expect(comesTooSoon(order, makeTrack("x", { artist: "A" }), null)).toBe(false);
+  });
+});
+
+describe("spaceOut", () => {
+  // Each track belongs at the position of its value
+  const slotCost = (track, i) => (track.energy - i / 10) ** 2;
+
+  it("takes the cheapest swap that clears a repeat", () => {
+    const order = byArtist("A", "A", "B", "C", "D");
+    const spaced = spaceOut(order, rule({ artistTracks: 1 }), { slotCost });
+    expect(spacingConflicts(spaced, rule({ artistTracks: 1 }))).toEqual([]);
+    expect(spaced.map((t) => t.id)).toEqual(["t0", "t2", "t1", "t3", "t4"]);
+  });
+
+  it("keeps fixed tracks in place", () => {
+    const order = byArtist("A", "A", "B", "C");
+    const fixed = new Set([order[1]]);
+    const spaced = spaceOut(order, rule({ artistTracks: 1 }), { slotCost, fixed });
+    expect(spaced[1]).toBe(order[1]);
+    expect(spacingConflicts(spaced, rule({ artistTracks: 1 }))).toEqual([]);
+  });
+
+  it("keeps the start of anchored tracks", () => {
+    const order = byArtist("A", "A", "C", "B", "D")
+      .map((t, i) => ({ ...t, duration_ms: i === 3 ? 6 * minute : 3 * minute }));
+    const options = { fixed: new Set([order[2]]), anchors: new Set([order[2]]) };
+    const spaced = spaceOut(order, rule({ artistTracks: 1 }), options);
+    // The nearer swap with the longer track would start the anchor 3 min late
+    expect(spaced.map((t) => t.id)).toEqual(["t0", "t4", "t2", "t3", "t1"]);
+  });
+
+  it("leaves repeats that no affordable swap clears", () => {
+    const order = byArtist("A", "A", "A", "B");
+    const spaced = spaceOut(order, rule({ artistTracks: 1 }), { slotCost });
+    expect(spacingConflicts(spaced, rule({ artistTracks: 1 }))).toHaveLength(1);
+    expect(spaceOut(byArtist("A", "A", "B"), rule({ artistTracks: 1 }), { slotCost, maxSwapCost: 0.01 }).map((t) => t.id))
+      .toEqual(["t0", "t1", "t2"]);
+    expect(spaceOut(order, null)).toEqual(order);
+  });
+});
@@ -0,0 +1,426 @@
+// ── Spotify Config ──
+// Users need to create a Spotify App at https://developer.spotify.com/dashboard
+// and set the redirect URI to the page that calls authorizeUrl.
+export const SCOPES = [
+  "playlist-read-private", "playlist-read-collaborative", "playlist-modify-public", "playlist-modify-private",
+  // Ride mode: Connect control and the in-browser Web Playback SDK player
+  "user-read-playback-state", "user-modify-playback-state", "streaming", "user-read-email", "user-read-private",
+].join(" ");
+
+/** Scopes ride mode needs to play through Spotify; older sessions lack them. */
+export const PLAYBACK_SCOPES = ["user-modify-playback-state", "streaming"];
+export const AUTH_URL = "https://accounts.spotify.com/authorize";
+export const TOKEN_URL = "https://accounts.spotify.com/api/token";
+export const API_URL = "https://api.spotify.com/v1";
+
+// ── PKCE ──
+function generateRandomString(length) {
+  const possible = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789";
+  const values = crypto.getRandomValues(new Uint8Array(length));
+  return values.reduce((acc, x) => acc + possible[x % possible.length], "");
+}
+
+async function sha256(plain) {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(plain);
+  return crypto.subtle.digest("SHA-256", data);
+}
+
+function base64urlencode(input) {
+  return btoa(String.fromCharCode(...new Uint8Array(input)))
+    .replace(/=/g, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+/**
+ * A fresh PKCE code verifier and its S256 challenge.
+ * @returns {Promise<{ verifier: string, challenge: string }>}
+ */
+export async function createPkcePair() {
+  const verifier = generateRandomString(128);
+  return { verifier, challenge: base64urlencode(await sha256(verifier)) };
+}
+
+/**
+ * The Spotify login URL for the authorization code flow with PKCE.
+ * @param {object} options
+ * @param {string} options.clientId
+ * @param {string} options.redirectUri
+ * @param {string} options.challenge from createPkcePair
+ * @param {string} [options.scopes]
+ * @returns {string}
+ */
+export function authorizeUrl({ clientId, redirectUri, challenge, scopes = SCOPES }) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    response_type: "code",
+    redirect_uri: redirectUri,
+    scope: scopes,
+    code_challenge_method: "S256",
+    code_challenge: challenge,
+  });
+  return `${AUTH_URL}?${params}`;
+}
+
+// ── Session ──
+// Access tokens live for one hour; the refresh token from the PKCE exchange
+// renews them silently.
+
+/**
+ * @typedef {object} Session
+ * @property {string} clientId
+ * @property {string} accessToken
+ * @property {string} refreshToken
+ * @property {number} expiresAt epoch ms
+ * @property {string} [scope] space separated granted scopes
+ */
+
+/** Refresh this long before the access token expires. */
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * @param {object} data a token endpoint response
+ * @param {string} clientId
+ * @param {Session} [previous] keeps its refresh token when Spotify does not rotate it
+ * @returns {Session}
+ */
+export function sessionFromTokenResponse(data, clientId, previous) {
+  return {
+    clientId,
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || previous?.refreshToken,
+    expiresAt: Date.now() + (data.expires_in ?? 3600) * 1000,
+    scope: data.scope ?? previous?.scope,
+  };
+}
+
+async function requestToken(clientId, params, previous) {
+  const resp = await fetch(TOKEN_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ client_id: clientId, ...params }),
+  });
+  const data = await resp.json().catch(() => ({}));
+  if (!resp.ok || !data.access_token) {
+    const err = new Error(data.error_description || data.error || `${resp.status} ${resp.statusText}`);
+    err.status = resp.status;
+    throw err;
+  }
+  return sessionFromTokenResponse(data, clientId, previous);
+}
+
+/**
+ * Trades the code from the login redirect for a session.
+ * @param {object} options
+ * @param {string} options.clientId
+ * @param {string} options.code
+ * @param {string} options.verifier the verifier whose challenge started the login
+ * @param {string} options.redirectUri
+ * @returns {Promise<Session>}
+ * @throws {Error} with `status` when Spotify rejects the exchange
+ */
+export function exchangeCode({ clientId, code, verifier, redirectUri }) {
+  return requestToken(clientId, {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: verifier,
+  });
+}
+
+/**
+ * @param {Session} session
+ * @returns {Promise<Session>}
+ * @throws {Error} with `status`; 400 and 401 mean the refresh token is no longer valid
+ */
+export function refreshSession(session) {
+  return requestToken(session.clientId, {
+    grant_type: "refresh_token",
+    refresh_token: session.refreshToken,
+  }, session);
+}
+
+// ── Request Layer ──
+// Every Spotify call goes through one limiter and one retry loop: at most
+// MAX_CONCURRENT_REQUESTS in flight, 429s wait for Retry-After (and hold back
+// all other requests meanwhile), transient 5xx and network errors back off
+// exponentially with jitter. POSTs are only retried on 429, since a failed
+// POST may already have been applied.
+export const MAX_CONCURRENT_REQUESTS = 4;
+export const MAX_RETRIES = 5;
+const RETRY_BASE_MS = 500;
+let rateLimitedUntil = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Runs at most `limit` tasks at a time, in the order they were queued.
+ * @param {number} limit
+ * @returns {<T>(task: () => Promise<T>) => Promise<T>}
+ */
+export function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit || !queue.length) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    task().then(resolve, reject).finally(() => {
+      active--;
+      next();
+    });
+  };
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+const limitRequest = createLimiter(MAX_CONCURRENT_REQUESTS);
+
+function retryDelay(attempt, resp) {
+  const retryAfter = Number(resp?.headers.get("Retry-After"));
+  if (retryAfter > 0) return retryAfter * 1000 + Math.random() * 250;
+  const backoff = RETRY_BASE_MS * 2 ** attempt;
+  return backoff / 2 + Math.random() * backoff / 2;
+}
+
+/**
+ * Repeats `send` until it succeeds, fails for good or runs out of retries.
+ * @param {() => Promise<Response>} send performs one attempt
+ * @param {{ method?: string }} [options]
+ * @returns {Promise<Response>} the last response, which may still be an error
+ */
+export async function requestWithRetry(send, { method = "GET" } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const wait = rateLimitedUntil - Date.now();
+    if (wait > 0) await sleep(wait);
+    let resp;
+    try {
+      resp = await send();
+    } catch (e) {
+      // fetch rejects with a TypeError on network failure; anything else is ours
+      if (!(e instanceof TypeError) || attempt >= MAX_RETRIES) throw e;
+      await sleep(retryDelay(attempt));
+      continue;
+    }
+    const retryable = resp.status === 429 || (resp.status >= 500 && method !== "POST");
+    if (!retryable || attempt >= MAX_RETRIES) return resp;
+    const delay = retryDelay(attempt, resp);
+    if (resp.status === 429) rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + delay);
+    await sleep(delay);
+  }
+}
+
+/**
+ * Fetches every page of a paging object: the first page tells us the total,
+ * the rest are requested in parallel.
+ * @param {(url: string) => Promise<object>} fetchJson
+ * @param {string} url the first page
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<object[]>} the items of all pages, in order
+ */
+export async function fetchAllPages(fetchJson, url, onProgress) {
+  const first = await fetchJson(url);
+  const items = [...(first.items || [])];
+  const total = first.total ?? items.length;
+  const limit = first.limit || items.length || 1;
+  onProgress?.(items.length, total);
+  if (!first.next) return items;
+
+  const pageUrls = [];
+  for (let offset = (first.offset || 0) + limit; offset < total; offset += limit) {
+    const pageUrl = new URL(url);
+    pageUrl.searchParams.set("offset", offset);
+    pageUrl.searchParams.set("limit", limit);
+    pageUrls.push(pageUrl.toString());
+  }
+  let done = items.length;
+  const pages = await Promise.all(pageUrls.map(async (pageUrl) => {
+    const data = await fetchJson(pageUrl);
+    done += (data.items || []).length;
+    onProgress?.(done, total);
+    return data.items || [];
+  }));
+  return items.concat(...pages);
+}
+
+/**
+ * Runs fetchBatch for every `size`-sized slice of ids in parallel.
+ * @template T
+ * @param {string[]} ids
+ * @param {number} size
+ * @param {(batch: string[]) => Promise<T>} fetchBatch
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<T[]>} one result per batch
+ */
+export async function fetchInBatches(ids, size, fetchBatch, onProgress) {
+  const batches = [];
+  for (let i = 0; i < ids.length; i += size) batches.push(ids.slice(i, i + size));
+  let done = 0;
+  onProgress?.(0, ids.length);
+  return Promise.all(batches.map(async (batch) => {
+    const result = await fetchBatch(batch);
+    done += batch.length;
+    onProgress?.(done, ids.length);
+    return result;
+  }));
+}
+
+// ── Playlist Reordering ──
+// Reordering in place keeps "added at" dates, but costs one request per move,
+// so callers fall back to replacing the contents above MAX_REORDER_MOVES.
+export const MAX_REORDER_MOVES = 50;
+
+/**
+ * Whether two URI lists hold the same entries, in any order.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+export function isPermutation(a, b) {
+  if (a.length !== b.length) return false;
+  const sa = [...a].sort();
+  const sb = [...b].sort();
+  return sa.every((x, i) => x === sb[i]);
+}
+
+/**
+ * Reorder-endpoint moves that turn the URI list `from` into `to`.
+ * @param {string[]} from
+ * @param {string[]} to a permutation of `from`
+ * @returns {{ range_start: number, insert_before: number }[]}
+ */
+export function reorderMoves(from, to) {
+  const current = [...from];
+  const moves = [];
+  for (let i = 0; i < to.length; i++) {
+    if (current[i] === to[i]) continue;
+    const j = current.indexOf(to[i], i + 1);
+    moves.push({ range_start: j, insert_before: i });
+    current.splice(i, 0, current.splice(j, 1)[0]);
+  }
+  return moves;
+}
+
+// ── Client ──
+
+/**
+ * A Spotify Web API client. Requests share the module's limiter and retry
+ * loop; a 401 refreshes the token once and repeats the request.
+ * @param {object} options
+ * @param {(forceRefresh?: boolean) => Promise<string>} options.getAccessToken
+ */
+export function createSpotifyClient({ getAccessToken }) {
+  const json = { "Content-Type": "application/json" };
+
+  /**
+   * @param {string} url absolute, or a path below API_URL
+   * @param {RequestInit} [options]
+   * @returns {Promise<any>} the parsed body, null for an empty one
+   * @throws {Error} with `status` for any other non-2xx response
+   */
+  async function request(url, options = {}) {
+    const fullUrl = url.startsWith("/") ? API_URL + url : url;
+    const send = async (accessToken) => fetch(fullUrl, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${accessToken}` },
+    });
+    return limitRequest(async () => {
+      const resp = await requestWithRetry(async () => {
+        const first = await send(await getAccessToken());
+        // Token revoked or expired early: refresh once and retry
+        return first.status === 401 ? send(await getAccessToken(true)) : first;
+      }, options);
+      if (!resp.ok) {
+        const err = new Error(`Spotify API ${resp.status}: ${resp.statusText}`);
+        err.status = resp.status;
+        throw err;
+      }
+      // Player endpoints answer some commands with an empty 200 or 202
+      const text = await resp.text();
+      return text ? JSON.parse(text) : null;
+    });
+  }
+
+  // Append in batches of 100, one after another to keep the order. With
+  // `replace`, the first batch replaces the playlist's current contents.
+  async function writeTracks(playlistId, uris, { replace = false, onProgress } = {}) {
+    let snapshot = null;
+    for (let i = 0; i < uris.length || (replace && i === 0); i += 100) {
+      onProgress?.(i, uris.length);
+      const data = await request(`/playlists/${playlistId}/tracks`, {
+        method: replace && i === 0 ? "PUT" : "POST",
+        headers: json,
+        body: JSON.stringify({ uris: uris.slice(i, i + 100) }),
+      });
+      snapshot = data?.snapshot_id ?? snapshot;
+    }
+    return snapshot;
+  }
+
+  return {
+    request,
+    writeTracks,
+    me: () => request("/me"),
+    playlists: (onProgress) => fetchAllPages(request, `${API_URL}/me/playlists?limit=50`, onProgress),
+    playlistItems: (playlistId, onProgress) => fetchAllPages(
+      request, `${API_URL}/playlists/${playlistId}/tracks?limit=100`, onProgress,
+    ),
+    playlistSnapshot: async (playlistId) => (await request(`/playlists/${playlistId}?fields=snapshot_id`)).snapshot_id,
+    // False only for a 404; every other failure is rethrown
+    playlistExists: async (playlistId) => {
+      try {
+        await request(`/playlists/${playlistId}?fields=id`);
+        return true;
+      } catch (e) {
+        if (e.status !== 404) throw e;
+        return false;
+      }
+    },
+    // Audio features by track ID. Rejects when the endpoint is unavailable
+    // (403 for newer apps).
+    audioFeatures: async (trackIds, onProgress) => {
+      const features = {};
+      const batches = await fetchInBatches(trackIds, 100, (batch) => request(`/audio-features?ids=${batch.join(",")}`), onProgress);
+      batches.forEach((data) => (data.audio_features || []).forEach((f) => {
+        if (f) features[f.id] = f;
+      }));
+      return features;
+    },
+    artistGenres: async (artistIds, onProgress) => {
+      const genres = {};
+      const batches = await fetchInBatches(artistIds, 50, (batch) => request(`/artists?ids=${batch.join(",")}`), onProgress);
+      batches.forEach((data) => (data.artists || []).forEach((a) => {
+        if (a) genres[a.id] = a.genres || [];
+      }));
+      return genres;
+    },
+    createPlaylist: (userId, { name, description }) => request(`/users/${userId}/playlists`, {
+      method: "POST",
+      headers: json,
+      body: JSON.stringify({ name, description, public: false }),
+    }),
+    updatePlaylistDetails: (playlistId, { name, description }) => request(`/playlists/${playlistId}`, {
+      method: "PUT",
+      headers: json,
+      body: JSON.stringify({ name, description }),
+    }),
+    // Playback on Spotify Connect devices, Premium only. Without a device ID
+    // the user's active device plays.
+    devices: async () => (await request("/me/player/devices")).devices || [],
+    // Null when nothing is playing anywhere
+    playbackState: () => request("/me/player"),
+    play: (deviceId, body) => request(`/me/player/play${deviceId ? `?device_id=${deviceId}` : ""}`, {
+      method: "PUT",
+      headers: json,
+      body: body ? JSON.stringify(body) : undefined,
+    }),
+    pause: (deviceId) => request(`/me/player/pause${deviceId ? `?device_id=${deviceId}` : ""}`, { method: "PUT" }),
+    // One reorder-endpoint move; resolves to the new snapshot ID
+    moveTracks: async (playlistId, move, snapshotId) => (await request(`/playlists/${playlistId}/tracks`, {
+      method: "PUT",
+      headers: json,
+      body: JSON.stringify({ ...move, snapshot_id: snapshotId }),
+    })).snapshot_id,
+  };
+}
@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  authorizeUrl, createLimiter, createPkcePair, createSpotifyClient, fetchAllPages, fetchInBatches,
+  isPermutation, reorderMoves, requestWithRetry, sessionFromTokenResponse,
+} from "./spotify.js";
+
+const response = (status, body = {}, headers = {}) => new Response(status === 204 ? null : JSON.stringify(body), {
+  status,
+  headers: { "Content-Type": "application/json", ...headers },
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+});
+
+describe("PKCE and session", () => {
+  it("builds a login URL with an S256 challenge", async () => {
+    const { verifier, challenge } = await createPkcePair();
+    expect(verifier).toHaveLength(128);
+    expect(challenge).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    const url = new URL(authorizeUrl({ clientId: "id", redirectUri: "http://localhost/", challenge }));
+    expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+    expect(url.searchParams.get("code_challenge")).toBe(challenge);
+  });
+
+  it("keeps the previous refresh token when Spotify does not rotate it", () => {
+    const session = sessionFromTokenResponse({ access_token: "new", expires_in: 60 }, "id", { refreshToken: "old" });
+    expect(session).toMatchObject({ clientId: "id", accessToken: "new", refreshToken: "old" });
+    expect(session.expiresAt).toBeGreaterThan(Date.now());
+  });
+});
+
+describe("reorderMoves", () => {
+  it("turns one order into the other", () => {
+    const from = ["a", "b", "c", "d", "e"];
+    const to = ["c", "a", "e", "b", "d"];
+    const current = [...from];
+    for (const { range_start, insert_before } of reorderMoves(from, to)) {
+      current.splice(insert_before, 0, current.splice(range_start, 1)[0]);
+    }
+    expect(current).toEqual(to);
+  });
+
+  it("needs no moves for an unchanged order", () => {
+    expect(reorderMoves(["a", "b"], ["a", "b"])).toEqual([]);
+  });
+
+  it("only treats same-content lists as permutations", () => {
+    expect(isPermutation(["a", "b", "a"], ["a", "a", "b"])).toBe(true);
+    expect(isPermutation(["a", "b"], ["a", "c"])).toBe(false);
+  });
+});
+
+describe("createLimiter", () => {
+  it("never runs more than the limit at once", async () => {
+    const limit = createLimiter(2);
+    let active = 0;
+    let peak = 0;
+    const task = async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setTimeout(resolve, 1));
+      active--;
+    };
+    await Promise.all(Array.from({ length: 6 }, () => limit(task)));
+    expect(peak).toBe(2);
+  });
+});
+
+describe("paging", () => {
+  it("fetches the remaining pages by offset", async () => {
+    const all = Array.from({ length: 250 }, (_, i) => i);
+    const fetchJson = vi.fn(async (url) => {
+      const params = new URL(url).searchParams;
+      const offset = Number(params.get("offset") || 0);
+      const limit = Number(params.get("limit"));
+      return { items: all.slice(offset, offset + limit), total: all.length, limit, offset, next: offset + limit < all.length ? "more" : null };
+    });
+    const progress = vi.fn();
+    expect(await fetchAllPages(fetchJson, "https://api.example/items?limit=100", progress)).toEqual(all);
+    expect(fetchJson).toHaveBeenCalledTimes(3);
+    expect(progress).toHaveBeenLastCalledWith(250, 250);
+  });
+
+  it("splits ids into batches", async () => {
+    const batches = await fetchInBatches(["a", "b", "c"], 2, async (batch) => batch.join());
+    expect(batches).toEqual(["a,b", "c"]);
+  });
+});
+
+describe("createSpotifyClient", () => {
+  it("refreshes the token once after a 401", async () => {
+    const fetchMock = vi.fn()
+      .mockResolvedValueOnce(response(401))
+      .mockResolvedValueOnce(response(200, { id: "me" }));
+    vi.stubGlobal("fetch", fetchMock);
+    const getAccessToken = vi.fn(async (force) => (force ? "fresh" : "stale"));
+    const spotify = createSpotifyClient({ getAccessToken });
+    expect(await spotify.me()).toEqual({ id: "me" });
+    expect(fetchMock.mock.calls[0][0]).toBe("https://api.spotify.com/v1/me");
+    expect(fetchMock.mock.calls[1][1].headers.Authorization).toBe("Bearer fresh");
+  });
+
+  it("throws with the status for failed requests", async () => {
+    vi.stubGlobal("fetch", vi.fn().mockResolvedValue(response(404)));
+    const spotify = createSpotifyClient({ getAccessToken: async () => "token" });
+    await expect(spotify.request("/playlists/x")).rejects.toMatchObject({ status: 404 });
+    expect(await spotify.playlistExists("x")).toBe(false);
+  });
+
+  it("accepts the empty bodies of player commands", async () => {
+    const fetchMock = vi.fn(async () => new Response("", { status: 202 }));
+    vi.stubGlobal("fetch", fetchMock);
+    const spotify = createSpotifyClient({ getAccessToken: async () => "token" });
+    expect(await spotify.play("dev", { uris: ["spotify:track:a"] })).toBeNull();
+    expect(fetchMock.mock.calls[0][0]).toBe("https://api.spotify.com/v1/me/player/play?device_id=dev");
+  });
+
+  it("writes tracks in batches of 100, replacing only with the first", async () => {
+    const fetchMock = vi.fn(async () => response(201, { snapshot_id: "s" }));
+    vi.stubGlobal("fetch", fetchMock);
+    const spotify = createSpotifyClient({ getAccessToken: async () => "token" });
+    const uris = Array.from({ length: 150 }, (_, i) => `spotify:track:${i}`);
+    expect(await spotify.writeTracks("p", uris, { replace: true })).toBe("s");
+    expect(fetchMock.mock.calls.map(([, options]) => options.method)).toEqual(["PUT", "POST"]);
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).uris).toHaveLength(50);
+  });
+});
+
+describe("requestWithRetry", () => {
+  it("retries server errors for GET but not for POST", async () => {
+    vi.useFakeTimers();
+    const send = vi.fn()
+      .mockResolvedValueOnce(response(503))
+      .mockResolvedValueOnce(response(200));
+    const pending = requestWithRetry(send);
+    await vi.runAllTimersAsync();
+    expect((await pending).status).toBe(200);
+
+    const post = vi.fn().mockResolvedValue(response(503));
+    expect((await requestWithRetry(post, { method: "POST" })).status).toBe(503);
+    expect(post).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry errors that are not network failures", async () => {
+    const send = vi.fn().mockRejectedValue(new Error("bug"));
+    await expect(requestWithRetry(send)).rejects.toThrow("bug");
+    expect(send).toHaveBeenCalledTimes(1);
+  });
+
+  // Keep this last: a 429 holds back every later request until Retry-After has passed
+  it("waits for Retry-After on 429", async () => {
+    vi.useFakeTimers();
+    const send = vi.fn()
+      .mockResolvedValueOnce(response(429, {}, { "Retry-After": "2" }))
+      .mockResolvedValueOnce(response(200));
+    const pending = requestWithRetry(send, { method: "POST" });
+    await vi.advanceTimersByTimeAsync(1900);
+    expect(send).toHaveBeenCalledTimes(1);
+    await vi.advanceTimersByTimeAsync(500);
+    expect((await pending).status).toBe(200);
+  });
+
+});
@@ -0,0 +1,53 @@
+// ── Class Timing ──
+// How much class time a track takes: it plays from its trim-in to its
+// trim-out point, and the next track fades in `crossfadeMs` before it ends.
+// A crossfade never takes more than half of a track. Every time-based
+// feature (stats, sorters, plans, cue sheet, ride mode) measures through
+// here, so trims and the crossfade move all of them alike.
+
+/** The longest crossfade the settings offer. */
+export const MAX_CROSSFADE_MS = 12000;
+
+/**
+ * Played length between the trim points.
+ * @param {{ duration_ms?: number | null, trimStartMs?: number | null, trimEndMs?: number | null }} track
+ * @returns {number} 0 without a duration
+ */
+export function trimmedMs(track) {
+  const duration = track.duration_ms || 0;
+  const start = Math.min(duration, Math.max(0, track.trimStartMs || 0));
+  const end = Math.min(duration, Math.max(start, track.trimEndMs ?? duration));
+  return end - start;
+}
+
+/**
+ * Class time from the start of a track to the start of the next one.
+ * @param {object} track
+ * @param {number} [crossfadeMs]
+ * @returns {number}
+ */
+export function slotMs(track, crossfadeMs = 0) {
+  const played = trimmedMs(track);
+  return played - Math.min(Math.max(0, crossfadeMs), played / 2);
+}
+
+/**
+ * Start offsets in class time and the class length; the last track plays
+ * out in full.
+ * @param {object[]} tracks in class order
+ * @param {number} [crossfadeMs]
+ * @returns {{ startOffsets: number[], totalMs: number }}
+ */
+export function classTimeline(tracks, crossfadeMs = 0) {
+  let elapsed = 0;
+  const startOffsets = tracks.map((t) => {
+    const start = elapsed;
+    elapsed += slotMs(t, crossfadeMs);
+    return start;
+  });
+  const last = tracks.at(-1);
+  return {
+    startOffsets,
+    totalMs: last ? startOffsets.at(-1) + trimmedMs(last) : 0,
+  };
+}
@@ -0,0 +1,35 @@
+import { describe, expect, it } from "vitest";
+import { classTimeline, slotMs, trimmedMs } from "./timing.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+describe("trimmedMs", () => {
+  it("plays between the trim points, kept inside the track", () => {
+    expect(trimmedMs(makeTrack("a", { duration_ms: 200000 }))).toBe(200000);
+    expect(trimmedMs(makeTrack("a", { duration_ms: 200000, trimStartMs: 15000, trimEndMs: 185000 }))).toBe(170000);
+    expect(trimmedMs(makeTrack("a", { duration_ms: 200000, trimStartMs: -5, trimEndMs: 300000 }))).toBe(200000);
+    expect(trimmedMs(makeTrack("a", { duration_ms: 200000, trimStartMs: 150000, trimEndMs: 100000 }))).toBe(0);
+    expect(trimmedMs(makeTrack("a", { duration_ms: null }))).toBe(0);
+  });
+});
+
+describe("slotMs", () => {
+  it("hands the crossfade to the next track, at most half of a track", () => {
+    const track = makeTrack("a", { duration_ms: 20000 });
+    expect(slotMs(track)).toBe(20000);
+    expect(slotMs(track, 8000)).toBe(12000);
+    expect(slotMs(track, 15000)).toBe(10000);
+  });
+});
+
+describe("classTimeline", () => {
+  it("overlaps tracks by the crossfade and plays the last one out", () => {
+    const tracks = [
+      makeTrack("a", { duration_ms: 180000, trimStartMs: 30000 }),
+      makeTrack("b", { duration_ms: 200000 }),
+      makeTrack("c", { duration_ms: 240000, trimEndMs: 200000 }),
+    ];
+    expect(classTimeline(tracks, 10000)).toEqual({ startOffsets: [0, 140000, 330000], totalMs: 530000 });
+    expect(classTimeline(tracks)).toEqual({ startOffsets: [0, 150000, 350000], totalMs: 550000 });
+    expect(classTimeline([])).toEqual({ startOffsets: [], totalMs: 0 });
+  });
+});
@@ -0,0 +1,268 @@
+import { classTimeline } from "./timing.js";
+
+// ── Track Model ──
+// The enriched track every sorter, view and export works with, built from a
+// Spotify playlist item or an import.
+
+/**
+ * @typedef {object} Track
+ * @property {string} id Spotify track ID, or `local:artist:title` for imports
+ * @property {string | null} uri
+ * @property {string} name
+ * @property {string} artist comma separated artist names
+ * @property {string | null} isrc
+ * @property {string[]} sources names of the playlists the track came from
+ * @property {string | null} album album name
+ * @property {string | null} albumId Spotify album ID
+ * @property {string | null} albumArt
+ * @property {number} energy 0–1
+ * @property {"measured" | "cached" | "estimated" | "manual" | "imported"} energySource
+ * @property {number} energyConfidence 0–1
+ * @property {number | null} bpm
+ * @property {number | null} danceability
+ * @property {number | null} valence
+ * @property {number | null} key Spotify pitch class, 0 = C
+ * @property {number | null} mode 1 = major, 0 = minor
+ * @property {number | null} duration_ms
+ * @property {number | null} [trimStartMs] play from here, see timing.js
+ * @property {number | null} [trimEndMs] play up to here
+ * @property {number | null} popularity
+ * @property {boolean} explicit
+ * @property {string[]} genres
+ * @property {boolean} hasAudioFeatures
+ */
+
+/**
+ * Whether a playlist item is a Spotify track we can sort and save.
+ * @param {object} item a Spotify playlist item
+ * @returns {boolean}
+ */
+export function isPlayableItem(item) {
+  return !!(item.track && item.track.id && !item.track.is_local);
+}
+
+/**
+ * Builds the enriched track for a playlist item. Fresh audio features win
+ * over cached ones; without either, energy is estimated from artist genres.
+ * @param {object} item a Spotify playlist item, with `sources` when merged
+ * @param {object} [data]
+ * @param {Record<string, object>} [data.features] audio features by track ID
+ * @param {Record<string, object>} [data.cachedFeatures] cached features by track ID
+ * @param {Record<string, string[]>} [data.artistGenres] genres by artist ID
+ * @returns {Track}
+ */
+export function enrichTrack(item, { features = {}, cachedFeatures = {}, artistGenres = {} } = {}) {
+  const t = item.track;
+  const measured = features[t.id];
+  const f = measured || cachedFeatures[t.id] || {};
+  const genres = [...new Set((t.artists || []).flatMap(a => artistGenres[a.id] || []))];
+  const estimate = f.energy == null ? estimateEnergy(t, genres) : null;
+  return {
+    id: t.id,
+    uri: t.uri,
+    name: t.name,
+    artist: (t.artists || []).map(a => a.name).join(", "),
+    isrc: t.external_ids?.isrc ?? null,
+    sources: item.sources || [],
+    album: t.album?.name ?? null,
+    albumId: t.album?.id ?? null,
+    albumArt: t.album?.images?.[2]?.url || t.album?.images?.[0]?.url || null,
+    energy: estimate ? estimate.energy : f.energy,
+    energySource: estimate ? "estimated" : measured ? "measured" : "cached",
+    energyConfidence: estimate ? estimate.confidence : 1,
+    bpm: f.tempo ? Math.round(f.tempo) : null,
+    danceability: f.danceability ?? null,
+    valence: f.valence ?? null,
+    key: f.key ?? null,
+    mode: f.mode ?? null,
+    duration_ms: t.duration_ms,
+    popularity: t.popularity ?? null,
+    explicit: !!t.explicit,
+    genres,
+    hasAudioFeatures: f.energy != null,
+  };
+}
+
+// ── Audio Features ──
+// Only the fields we sort by are kept between sessions.
+
+/**
+ * The audio feature fields worth caching.
+ * @param {object} f a Spotify audio features object
+ */
+export function cacheableFeatures(f) {
+  const { energy, tempo, danceability, valence, key, mode } = f;
+  return { energy, tempo, danceability, valence, key, mode };
+}
+
+// ── Energy Estimation ──
+// Fallback when neither measured nor cached features exist. Genre tags are the
+// strongest signal we still get from Spotify; duration and the explicit flag
+// nudge the result. Confidence (0–1) says how much of that was available.
+export const GENRE_ENERGY = [
+  ["hardstyle", 0.95], ["drum and bass", 0.9], ["dnb", 0.9], ["metal", 0.9], ["hardcore", 0.9],
+  ["techno", 0.85], ["trance", 0.85], ["punk", 0.85], ["edm", 0.85], ["big room", 0.9],
+  ["dubstep", 0.85], ["electro", 0.8], ["electronic", 0.75], ["house", 0.8], ["dance", 0.8],
+  ["eurodance", 0.85], ["metalcore", 0.9], ["rock", 0.75], ["reggaeton", 0.75], ["latin", 0.7],
+  ["dancehall", 0.7], ["hip hop", 0.7], ["rap", 0.7], ["trap", 0.7], ["funk", 0.65],
+  ["disco", 0.7], ["pop", 0.65], ["electropop", 0.7], ["synthpop", 0.65], ["indie", 0.55],
+  ["r&b", 0.5], ["soul", 0.5], ["reggae", 0.5], ["country", 0.5], ["jazz", 0.4],
+  ["folk", 0.35], ["singer-songwriter", 0.3], ["acoustic", 0.3], ["chill", 0.3],
+  ["lo-fi", 0.3], ["downtempo", 0.3], ["ambient", 0.15], ["classical", 0.2], ["piano", 0.2],
+];
+export const DEFAULT_ESTIMATED_ENERGY = 0.6;
+
+// Keywords match whole words only, so "dance" leaves "dancehall" alone and
+// "rap" leaves "trap" alone
+const GENRE_PATTERNS = GENRE_ENERGY.map(([keyword, energy]) => [new RegExp(`\\b${keyword}\\b`), energy]);
+
+function genreEnergy(genre) {
+  const match = GENRE_PATTERNS.find(([pattern]) => pattern.test(genre));
+  return match ? match[1] : null;
+}
+
+/**
+ * Estimated energy for a track without audio features. A manual intensity
+ * rating (1–5) outweighs everything else we can infer.
+ * @param {{ duration_ms?: number, explicit?: boolean }} track
+ * @param {string[]} [genres] genres of the track's artists
+ * @param {number | null} [intensity]
+ * @returns {{ energy: number, confidence: number }}
+ */
+export function estimateEnergy(track, genres = [], intensity = null) {
+  const matches = genres.map(genreEnergy).filter((e) => e != null);
+  let energy = matches.length
+    ? matches.reduce((s, e) => s + e, 0) / matches.length
+    : DEFAULT_ESTIMATED_ENERGY;
+  let confidence = matches.length ? Math.min(0.6, 0.3 + 0.1 * matches.length) : 0.1;
+  if (intensity != null) {
+    energy = 0.7 * intensityToEnergy(intensity) + 0.3 * energy;
+    confidence = Math.max(confidence, 0.8);
+  }
+
+  // Very short tracks tend to be punchy, very long ones are extended or
+  // ambient mixes with long quiet stretches
+  const minutes = (track.duration_ms || 0) / 60000;
+  if (minutes > 0 && minutes < 2.5) energy += 0.03;
+  if (minutes > 7) energy -= 0.05;
+  if (track.explicit) energy += 0.03;
+  if (minutes > 0) confidence += 0.05;
+
+  return {
+    energy: Math.round(Math.min(1, Math.max(0, energy)) * 100) / 100,
+    confidence: Math.round(confidence * 100) / 100,
+  };
+}
+
+// ── Manual Overrides ──
+// Per-track corrections keyed by Spotify track ID, so they follow the track
+// into every playlist. `base` keeps the loaded values for reverting.
+export const INTENSITY_MIN = 1;
+export const INTENSITY_MAX = 5;
+
+/**
+ * @param {number} intensity INTENSITY_MIN to INTENSITY_MAX
+ * @returns {number} energy between 0.1 and 0.9
+ */
+export function intensityToEnergy(intensity) {
+  return 0.1 + 0.8 * (intensity - INTENSITY_MIN) / (INTENSITY_MAX - INTENSITY_MIN);
+}
+
+/**
+ * @typedef {object} Override
+ * @property {number} [energy]
+ * @property {number} [bpm]
+ * @property {number} [intensity]
+ * @property {number} [trimStart] ms into the track
+ * @property {number} [trimEnd] ms into the track
+ */
+
+/**
+ * Applies a manual override to a track. Applying again, or applying an empty
+ * override, starts from the loaded values kept in `base`.
+ * @param {Track} track
+ * @param {Override} [override]
+ * @returns {Track}
+ */
+export function applyOverride(track, override = {}) {
+  const base = track.base || {
+    energy: track.energy,
+    energySource: track.energySource,
+    energyConfidence: track.energyConfidence,
+    bpm: track.bpm,
+    trimStartMs: track.trimStartMs ?? null,
+    trimEndMs: track.trimEndMs ?? null,
+  };
+  const result = { ...track, base, ...base, intensity: override.intensity ?? null };
+  if (override.energy != null) {
+    result.energy = override.energy;
+    result.energySource = "manual";
+    result.energyConfidence = 1;
+  } else if (override.intensity != null && base.energySource === "estimated") {
+    const estimate = estimateEnergy(track, track.genres, override.intensity);
+    result.energy = estimate.energy;
+    result.energyConfidence = estimate.confidence;
+  }
+  if (override.bpm != null) result.bpm = override.bpm;
+  if (override.trimStart != null) result.trimStartMs = override.trimStart;
+  if (override.trimEnd != null) result.trimEndMs = override.trimEnd;
+  result.overridden = {
+    energy: override.energy != null,
+    bpm: override.bpm != null,
+    intensity: override.intensity != null,
+    trim: override.trimStart != null || override.trimEnd != null,
+  };
+  return result;
+}
+
+// ── Playlist Merging ──
+// Items from several playlists become one pool. The same recording can appear
+// under different track IDs (single vs. album release), so ISRC counts too.
+// Each kept item remembers every playlist it was found in.
+/**
+ * @param {{ playlist: { name: string }, items: object[] }[]} itemsPerPlaylist
+ *   playable Spotify playlist items per source playlist
+ * @returns {object[]} deduplicated items, each with a `sources` name list
+ */
+export function mergePlaylistItems(itemsPerPlaylist) {
+  const byKey = new Map();
+  const merged = [];
+  itemsPerPlaylist.forEach(({ playlist, items }) => {
+    items.forEach((item) => {
+      const keys = [`id:${item.track.id}`];
+      if (item.track.external_ids?.isrc) keys.push(`isrc:${item.track.external_ids.isrc}`);
+      const existing = keys.map((k) => byKey.get(k)).find(Boolean);
+      if (existing) {
+        if (!existing.sources.includes(playlist.name)) existing.sources.push(playlist.name);
+        keys.forEach((k) => byKey.set(k, existing));
+        return;
+      }
+      const entry = { ...item, sources: [playlist.name] };
+      keys.forEach((k) => byKey.set(k, entry));
+      merged.push(entry);
+    });
+  });
+  return merged;
+}
+
+// ── Class Stats ──
+
+/**
+ * Summary numbers of a class in its current order.
+ * @param {Track[]} tracks
+ * @param {number} [crossfadeMs]
+ * @returns {{ avgEnergy: number | null, avgBpm: number | null, totalMs: number,
+ *   startOffsets: number[], maxEnergy: number }} averages are null without data;
+ *   times follow the trimmed, crossfaded timeline
+ */
+export function classStats(tracks, crossfadeMs = 0) {
+  const bpms = tracks.map((t) => t.bpm).filter(Boolean);
+  const { startOffsets, totalMs } = classTimeline(tracks, crossfadeMs);
+  return {
+    avgEnergy: tracks.length ? tracks.reduce((s, t) => s + (t.energy || 0), 0) / tracks.length : null,
+    avgBpm: bpms.length ? bpms.reduce((s, b) => s + b, 0) / bpms.length : null,
+    totalMs,
+    startOffsets,
+    maxEnergy: tracks.length ? Math.max(...tracks.map((t) => t.energy || 0)) : 0,
+  };
+}
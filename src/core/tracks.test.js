@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_ESTIMATED_ENERGY, applyOverride, cacheableFeatures, classStats, enrichTrack, estimateEnergy,
+  intensityToEnergy, isPlayableItem, mergePlaylistItems,
+} from "./tracks.js";
+import { makeTrack } from "./__fixtures__/tracks.js";
+
+const spotifyItem = (id, fields = {}) => ({
+  track: {
+    id,
+    uri: `spotify:track:${id}`,
+    name: `Song ${id}`,
+    artists: [{ id: "ar1", name: "Band" }, { id: "ar2", name: "Guest" }],
+    album: { id: "al1", name: "Album", images: [{ url: "large.jpg" }, { url: "medium.jpg" }, { url: "small.jpg" }] },
+    duration_ms: 200000,
+    popularity: 50,
+    explicit: false,
+    external_ids: { isrc: `ISRC${id}` },
+    ...fields,
+  },
+});
+
+describe("estimateEnergy", () => {
+  it("averages the energy of known genres", () => {
+    const { energy, confidence } = estimateEnergy({ duration_ms: 240000 }, ["techno", "deep house"]);
+    expect(energy).toBeCloseTo(0.83, 2);
+    expect(confidence).toBeGreaterThan(0.3);
+  });
+
+  it("matches genre keywords as whole words", () => {
+    expect(estimateEnergy({}, ["dancehall"]).energy).toBe(0.7);
+    expect(estimateEnergy({}, ["uk dance"]).energy).toBe(0.8);
+    expect(estimateEnergy({}, ["eurodance"]).energy).toBe(0.85);
+    expect(estimateEnergy({}, ["metalcore"]).energy).toBe(0.9);
+  });
+
+  it("falls back to the default with low confidence", () => {
+    const { energy, confidence } = estimateEnergy({ duration_ms: 240000 }, []);
+    expect(energy).toBe(DEFAULT_ESTIMATED_ENERGY);
+    expect(confidence).toBeLessThan(0.2);
+  });
+
+  it("lets a manual intensity dominate", () => {
+    const { energy, confidence } = estimateEnergy({ duration_ms: 240000 }, ["ambient"], 5);
+    expect(energy).toBeGreaterThan(0.6);
+    expect(confidence).toBeGreaterThanOrEqual(0.8);
+  });
+});
+
+describe("applyOverride", () => {
+  it("replaces energy and bpm and remembers the loaded values", () => {
+    const track = makeTrack("a", { energy: 0.4, bpm: 128 });
+    const edited = applyOverride(track, { energy: 0.9, bpm: 64 });
+    expect(edited).toMatchObject({ energy: 0.9, bpm: 64, energySource: "manual" });
+    expect(edited.overridden).toEqual({ energy: true, bpm: true, intensity: false, trim: false });
+    expect(applyOverride(edited, {})).toMatchObject({ energy: 0.4, bpm: 128, energySource: "measured" });
+  });
+
+  it("re-estimates energy from an intensity only for estimated tracks", () => {
+    const estimated = makeTrack("e", { energy: 0.6, energySource: "estimated" });
+    const measured = makeTrack("m", { energy: 0.6 });
+    expect(applyOverride(estimated, { intensity: 1 }).energy).toBeLessThan(0.6);
+    expect(applyOverride(measured, { intensity: 1 }).energy).toBe(0.6);
+    expect(intensityToEnergy(1)).toBeCloseTo(0.1);
+  });
+
+  it("sets trim points and clears them with an empty override", () => {
+    const trimmed = applyOverride(makeTrack("a", { trimStartMs: 5000 }), { trimEnd: 180000 });
+    expect(trimmed).toMatchObject({ trimStartMs: 5000, trimEndMs: 180000, overridden: { trim: true } });
+    expect(applyOverride(trimmed, {})).toMatchObject({ trimStartMs: 5000, trimEndMs: null });
+  });
+});
+
+describe("enrichTrack", () => {
+  it("prefers fresh over cached audio features", () => {
+    const features = { a: { id: "a", energy: 0.7, tempo: 127.6, key: 0, mode: 1 } };
+    const cachedFeatures = { a: { energy: 0.2 } };
+    const track = enrichTrack({ ...spotifyItem("a"), sources: ["Mix"] }, { features, cachedFeatures });
+    expect(track).toMatchObject({
+      id: "a", artist: "Band, Guest", energy: 0.7, energySource: "measured", bpm: 128,
+      isrc: "ISRCa", album: "Album", albumId: "al1", albumArt: "small.jpg", sources: ["Mix"], hasAudioFeatures: true,
+    });
+  });
+
+  it("uses cached features, then genre estimates", () => {
+    expect(enrichTrack(spotifyItem("a"), { cachedFeatures: { a: { energy: 0.2 } } }))
+      .toMatchObject({ energy: 0.2, energySource: "cached" });
+    expect(enrichTrack(spotifyItem("a"), { artistGenres: { ar1: ["metal"] } }))
+      .toMatchObject({ energySource: "estimated", genres: ["metal"], hasAudioFeatures: false });
+  });
+
+  it("keeps only the cacheable feature fields", () => {
+    expect(cacheableFeatures({ id: "a", energy: 0.5, tempo: 120, analysis_url: "x", key: 1, mode: 0 }))
+      .toEqual({ energy: 0.5, tempo: 120, danceability: undefined, valence: undefined, key: 1, mode: 0 });
+  });
+});
+
+describe("isPlayableItem", () => {
+  it("skips local files and removed tracks", () => {
+    expect(isPlayableItem(spotifyItem("a"))).toBe(true);
+    expect(isPlayableItem(spotifyItem("a", { is_local: true }))).toBe(false);
+    expect(isPlayableItem({ track: null })).toBe(false);
+  });
+});
+
+describe("mergePlaylistItems", () => {
+  it("dedupes by track ID and ISRC and collects the sources", () => {
+    const merged = mergePlaylistItems([
+      { playlist: { name: "One" }, items: [spotifyItem("a"), spotifyItem("b")] },
+      { playlist: { name: "Two" }, items: [spotifyItem("a"), spotifyItem("c", { external_ids: { isrc: "ISRCb" } })] },
+    ]);
+    expect(merged.map((i) => i.track.id)).toEqual(["a", "b"]);
+    expect(merged.map((i) => i.sources)).toEqual([["One", "Two"], ["One", "Two"]]);
+  });
+});
+
+describe("classStats", () => {
+  it("sums durations and averages known values", () => {
+    const stats = classStats([
+      makeTrack("a", { energy: 0.4, bpm: 120, duration_ms: 60000 }),
+      makeTrack("b", { energy: 0.8, bpm: null, duration_ms: 120000 }),
+    ]);
+    expect(stats).toMatchObject({ avgBpm: 120, totalMs: 180000, startOffsets: [0, 60000], maxEnergy: 0.8 });
+    expect(stats.avgEnergy).toBeCloseTo(0.6);
+  });
+
+  it("times the class with trims and crossfade", () => {
+    const stats = classStats([
+      makeTrack("a", { duration_ms: 60000, trimStartMs: 10000 }),
+      makeTrack("b", { duration_ms: 120000 }),
+    ], 5000);
+    expect(stats).toMatchObject({ totalMs: 165000, startOffsets: [0, 45000] });
+  });
+
+  it("has no averages for an empty class", () => {
+    expect(classStats([])).toMatchObject({ avgEnergy: null, avgBpm: null, totalMs: 0, maxEnergy: 0 });
+  });
+});